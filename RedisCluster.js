@@ -0,0 +1,605 @@
+'use strict';
+
+/**
+ * Configuration options for a {@link RedisCluster}.
+ * @typedef {Object} RedisCluster~Config
+ * @property {Number} [masters=3]
+ * The number of masters to assign hash slots to.
+ * @property {Number} [replicas=1]
+ * The number of replicas to start for each master.
+ * @property {(Number|String)} [port=auto]
+ * A port for the first node to bind to, with each other node binding to the
+ * next one, or {@linkcode 'auto'} for any free ports.
+ * @property {RedisServer~Config} [node]
+ * Configuration for each node; {@linkcode cluster-enabled} and
+ * {@linkcode cluster-config-file} are set for it and its
+ * {@link RedisServer~Config#dir} is temporary unless given, in which case
+ * each node uses a {@linkcode node-<index>} directory in it.
+ * @property {Number} [stateTimeout]
+ * Milliseconds to wait for the nodes to report a healthy cluster.
+ */
+
+/**
+ * Emitted when attempting to start a cluster.
+ * @event RedisCluster#opening
+ */
+
+/**
+ * Emitted once every node of a cluster reports {@linkcode cluster_state:ok}.
+ * @event RedisCluster#open
+ */
+
+/**
+ * Emitted when attempting to stop a cluster.
+ * @event RedisCluster#closing
+ */
+
+/**
+ * Emitted once every node of a cluster has stopped.
+ * @event RedisCluster#close
+ */
+
+const events = require('events');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const PromiseQueue = require('promise-queue');
+const RedisServer = require('./RedisServer');
+const slotCount = 16384;
+const stateInterval = 100;
+const busPortOffset = 10000;
+const maxPort = 65535 - busPortOffset;
+const autoPortAttempts = 10;
+
+/**
+ * Start and stop a Redis Cluster of masters and replicas.
+ * @class
+ */
+class RedisCluster extends events.EventEmitter {
+
+  /**
+   * Populate a given {@link RedisCluster~Config} with values from a
+   * given {@link RedisCluster~Config}.
+   * @protected
+   * @argument {RedisCluster~Config} source
+   * @argument {RedisCluster~Config} target
+   * @return {RedisCluster~Config}
+   * @throws {TypeError}
+   */
+  static parseConfig(source, target) {
+    if (typeof source === 'number') {
+      source = { masters: source };
+    }
+
+    if (source == null || typeof source !== 'object') {
+      return target;
+    }
+
+    if (source.masters != null) {
+      if (
+        typeof source.masters !== 'number' ||
+        source.masters < 1 ||
+        source.masters > slotCount ||
+        source.masters % 1 !== 0
+      ) {
+        throw new TypeError('Masters must be a positive integer');
+      }
+
+      target.masters = source.masters;
+    }
+
+    if (source.replicas != null) {
+      if (
+        typeof source.replicas !== 'number' ||
+        source.replicas < 0 ||
+        source.replicas % 1 !== 0
+      ) {
+        throw new TypeError('Replicas must be a non-negative integer');
+      }
+
+      target.replicas = source.replicas;
+    }
+
+    if (source.port != null) {
+      if (
+        !RedisServer.isAutoPort(source.port) &&
+        !(Number(source.port) > 0 && Number(source.port) <= maxPort)
+      ) {
+        throw new TypeError(
+          `Port must be "auto" or a number up to ${maxPort}`
+        );
+      }
+
+      target.port = source.port;
+    }
+
+    if (source.node != null) {
+      target.node = source.node;
+    }
+
+    if (source.stateTimeout != null) {
+      target.stateTimeout = source.stateTimeout;
+    }
+
+    return target;
+  }
+
+  /**
+   * Create a {@link RedisServer} for the node at a given {@linkcode index} of
+   * a cluster with a given {@linkcode config}.
+   * @protected
+   * @argument {RedisCluster~Config} config
+   * @argument {Number} index
+   * @return {RedisServer}
+   */
+  static createNode(config, index) {
+    const node = config.node == null ? {} : config.node;
+
+    // A node writes its cluster configuration file to its data directory,
+    // which is a temporary one unless given.
+    return new RedisServer(Object.assign({}, node, {
+      port: RedisServer.isAutoPort(config.port)
+        ? 'auto'
+        : Number(config.port) + index,
+      dir: typeof node.dir === 'string'
+        ? path.join(node.dir, `node-${index}`)
+        : true,
+      config: Object.assign({}, node.config, {
+        'cluster-enabled': 'yes',
+        'cluster-config-file': `nodes-${index}.conf`
+      })
+    }));
+  }
+
+  /**
+   * Split the hash slots among a given number of {@linkcode masters} like
+   * {@linkcode redis-cli --cluster create} does.
+   * @protected
+   * @argument {Number} masters
+   * @return {Array.<Array.<Number>>}
+   * The first and last slot for each master.
+   */
+  static getSlotRanges(masters) {
+    const slotsPerMaster = slotCount / masters;
+    const ranges = [];
+    let first = 0;
+    let cursor = 0;
+
+    for (let i = 0; i < masters; ++i) {
+      let last = Math.round(cursor + slotsPerMaster - 1);
+
+      if (last > slotCount - 1 || i === masters - 1) {
+        last = slotCount - 1;
+      }
+
+      ranges.push([first, last]);
+      first = last + 1;
+      cursor += slotsPerMaster;
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Find a free TCP port of which the cluster bus port, which is
+   * {@linkcode 10000} higher, is free as well.
+   * @protected
+   * @argument {Number} attempts
+   * @argument {Array.<Number>} exclude
+   * Ports already chosen for other nodes.
+   * @return {Promise}
+   */
+  static findPort(attempts, exclude) {
+    /**
+     * Bind to a given {@linkcode port} and release it again.
+     * @argument {Number} port
+     * @return {Promise}
+     */
+    const probe = (port) => new Promise((resolve, reject) => {
+      const socket = net.createServer();
+
+      socket.unref();
+      socket.once('error', reject);
+      socket.listen(port, () => socket.close(() => resolve(port)));
+    });
+
+    return RedisServer
+      .findPort()
+      .then((port) => {
+        if (port > maxPort || exclude.indexOf(port) !== -1) {
+          throw new Error(`Port ${port} is not available for a cluster node`);
+        }
+
+        return probe(port + busPortOffset).then(() => port);
+      })
+      .catch((err) => {
+        if (attempts > 1) {
+          return RedisCluster.findPort(attempts - 1, exclude);
+        }
+
+        throw err;
+      });
+  }
+
+  /**
+   * Choose free ports for the nodes of a given {@linkcode cluster} that are
+   * to bind to any free port and are not running.
+   * @protected
+   * @argument {RedisCluster} cluster
+   * @return {Promise}
+   */
+  static assignPorts(cluster) {
+    if (!RedisServer.isAutoPort(cluster.config.port)) {
+      return Promise.resolve(null);
+    }
+
+    const ports = cluster.nodes
+      .filter((node) => node.isRunning)
+      .map((node) => node.port);
+
+    return cluster.nodes
+      .filter((node) => !node.isRunning)
+      .reduce((promise, node) => promise
+        .then(() => RedisCluster.findPort(autoPortAttempts, ports))
+        .then((port) => {
+          ports.push(port);
+          node.config.port = port;
+        }), Promise.resolve())
+      .then(() => null);
+  }
+
+  /**
+   * Create the given data directories of the nodes of a given
+   * {@linkcode cluster} that are not running, if missing, and delete the
+   * cluster configuration files left in them; each open creates a new
+   * cluster.
+   * @protected
+   * @argument {RedisCluster} cluster
+   * @return {Promise}
+   */
+  static prepareDirs(cluster) {
+    /**
+     * Create a given {@linkcode dir} unless it exists.
+     * @argument {String} dir
+     * @return {Promise}
+     */
+    const mkdir = (dir) => new Promise((resolve, reject) => {
+      fs.mkdir(dir, 0o700, (err) => {
+        if (err && err.code !== 'EEXIST') {
+          reject(err);
+        }
+        else {
+          resolve(dir);
+        }
+      });
+    });
+
+    /**
+     * Delete a given {@linkcode file} unless it is missing.
+     * @argument {String} file
+     * @return {Promise}
+     */
+    const unlink = (file) => new Promise((resolve, reject) => {
+      fs.unlink(file, (err) => {
+        if (err && err.code !== 'ENOENT') {
+          reject(err);
+        }
+        else {
+          resolve(file);
+        }
+      });
+    });
+
+    return Promise
+      .all(cluster.nodes
+        .filter((node) => !node.isRunning &&
+          typeof node.config.dir === 'string')
+        .map((node) => mkdir(path.dirname(node.config.dir))
+          .then(() => mkdir(node.config.dir))
+          .then(() => unlink(path.join(
+            node.config.dir,
+            node.config.config['cluster-config-file'][0][0]
+          )))))
+      .then(() => null);
+  }
+
+  /**
+   * Determine if every node of a given {@linkcode cluster} is running and
+   * reports {@linkcode cluster_state:ok}.
+   * @protected
+   * @argument {RedisCluster} cluster
+   * @return {Promise}
+   */
+  static isOk(cluster) {
+    if (!cluster.nodes.every((node) => node.isRunning)) {
+      return Promise.resolve(false);
+    }
+
+    return Promise
+      .all(cluster.nodes.map((node) => node
+        .command('CLUSTER INFO')
+        .then((reply) => RedisServer.parseInfo(reply).cluster_state === 'ok')))
+      .then((results) => results.every((isOk) => isOk), () => false);
+  }
+
+  /**
+   * Poll {@linkcode CLUSTER INFO} of every node of a given
+   * {@linkcode cluster} until a given {@linkcode predicate} holds for each.
+   * @protected
+   * @argument {RedisCluster} cluster
+   * @argument {Function} predicate
+   * Called with the parsed {@linkcode CLUSTER INFO} of a node.
+   * @argument {String} description
+   * What the nodes are waited for, for an error message.
+   * @return {Promise}
+   */
+  static waitFor(cluster, predicate, description) {
+    const timeout = cluster.config.stateTimeout;
+    const deadline = timeout > 0 ? Date.now() + timeout : Infinity;
+
+    /**
+     * Check every node once and try again later unless each one is done.
+     * @return {Promise}
+     */
+    const check = () => Promise
+      .all(cluster.nodes.map((node) => node
+        .command('CLUSTER INFO')
+        .then((reply) => predicate(RedisServer.parseInfo(reply)))))
+      .then((results) => {
+        if (results.every((isDone) => isDone)) {
+          return null;
+        }
+
+        if (Date.now() >= deadline) {
+          const err = new Error(
+            `Cluster nodes did not ${description} within ${timeout}ms`
+          );
+
+          err.code = -6;
+
+          throw err;
+        }
+
+        return new Promise((resolve) => setTimeout(resolve, stateInterval))
+          .then(check);
+      });
+
+    return check();
+  }
+
+  /**
+   * Introduce every node of a given {@linkcode cluster} to the first one and
+   * wait for each to know the others.
+   * @protected
+   * @argument {RedisCluster} cluster
+   * @return {Promise}
+   */
+  static meet(cluster) {
+    const first = cluster.nodes[0].connection;
+    const count = cluster.nodes.length;
+
+    return Promise
+      .all(cluster.nodes.slice(1).map((node) => node
+        .command(['CLUSTER', 'MEET', first.host, first.port])))
+      .then(() => RedisCluster.waitFor(
+        cluster,
+        (info) => Number(info.cluster_known_nodes) === count,
+        'meet'
+      ));
+  }
+
+  /**
+   * Assign hash slots to the masters of a given {@linkcode cluster} and make
+   * each replica replicate its master.
+   * @protected
+   * @argument {RedisCluster} cluster
+   * @return {Promise}
+   */
+  static assignSlots(cluster) {
+    const ranges = RedisCluster.getSlotRanges(cluster.masters.length);
+    const replicas = cluster.config.replicas;
+
+    return Promise.all(cluster.masters.map((master, i) => {
+      const args = ['CLUSTER', 'ADDSLOTS'];
+
+      for (let slot = ranges[i][0]; slot <= ranges[i][1]; ++slot) {
+        args.push(slot);
+      }
+
+      return master
+        .command(args)
+        .then(() => master.command('CLUSTER MYID'))
+        .then((id) => Promise.all(cluster.replicas
+          .slice(i * replicas, (i + 1) * replicas)
+          .map((replica) => replica.command(['CLUSTER', 'REPLICATE', id]))));
+    })).then(() => null);
+  }
+
+  /**
+   * Start the nodes of a given {@linkcode cluster} and join them into a
+   * cluster.
+   * @protected
+   * @fires RedisCluster#opening
+   * @fires RedisCluster#open
+   * @argument {RedisCluster} cluster
+   * @return {Promise}
+   */
+  static open(cluster) {
+    cluster.openPromise = cluster.promiseQueue.add(() => RedisCluster
+      .isOk(cluster)
+      .then((isOk) => {
+        // Like RedisServer#open, opening an open cluster changes nothing.
+        if (isOk) {
+          return cluster.nodes.map((node) => node.connection);
+        }
+
+        const started = cluster.nodes.filter((node) => !node.isRunning);
+
+        cluster.emit('opening');
+
+        return RedisCluster
+          .assignPorts(cluster)
+          .then(() => RedisCluster.prepareDirs(cluster))
+          .then(() => Promise.all(cluster.nodes.map((node) => node.open())))
+          .then(() => RedisCluster.meet(cluster))
+          .then(() => RedisCluster.assignSlots(cluster))
+          .then(() => RedisCluster.waitFor(
+            cluster,
+            (info) => info.cluster_state === 'ok',
+            'report cluster_state:ok'
+          ))
+          .then(() => {
+            cluster.emit('open');
+
+            return cluster.nodes.map((node) => node.connection);
+          }, (err) => Promise
+            .all(started.map((node) => node.close()))
+            .then(() => {
+              throw err;
+            }));
+      }));
+
+    return cluster.openPromise;
+  }
+
+  /**
+   * Stop every node of a given {@linkcode cluster} without waiting for other
+   * operations to complete.
+   * @protected
+   * @argument {RedisCluster} cluster
+   * @return {Promise}
+   */
+  static stop(cluster) {
+    return Promise.all(cluster.nodes.map((node) => node.close()))
+      .then(() => null);
+  }
+
+  /**
+   * Stop every node of a given {@linkcode cluster}.
+   * @protected
+   * @fires RedisCluster#closing
+   * @fires RedisCluster#close
+   * @argument {RedisCluster} cluster
+   * @return {Promise}
+   */
+  static close(cluster) {
+    cluster.closePromise = cluster.promiseQueue.add(() => {
+      cluster.emit('closing');
+
+      return RedisCluster.stop(cluster).then(() => {
+        cluster.emit('close');
+
+        return null;
+      });
+    });
+
+    return cluster.closePromise;
+  }
+
+  /**
+   * Construct a new {@link RedisCluster}.
+   * @argument {(Number|RedisCluster~Config)} [configOrMasters]
+   * A number of masters or an object for configuration.
+   */
+  constructor(configOrMasters) {
+    super();
+
+    /**
+     * Configuration options.
+     * @protected
+     * @type {RedisCluster~Config}
+     */
+    this.config = RedisCluster.parseConfig(configOrMasters, {
+      masters: 3,
+      replicas: 1,
+      port: 'auto',
+      node: null,
+      stateTimeout: null
+    });
+
+    const count = this.config.masters * (this.config.replicas + 1);
+
+    /**
+     * Every node; the masters followed by the replicas.
+     * @readonly
+     * @type {Array.<RedisServer>}
+     */
+    this.nodes = [];
+
+    for (let i = 0; i < count; ++i) {
+      this.nodes.push(RedisCluster.createNode(this.config, i));
+    }
+
+    /**
+     * The nodes that hash slots are assigned to.
+     * @readonly
+     * @type {Array.<RedisServer>}
+     */
+    this.masters = this.nodes.slice(0, this.config.masters);
+
+    /**
+     * The nodes that replicate a master; those of the first master first.
+     * @readonly
+     * @type {Array.<RedisServer>}
+     */
+    this.replicas = this.nodes.slice(this.config.masters);
+
+    /**
+     * The last {@link Promise} returned by {@link RedisCluster#open}.
+     * @protected
+     * @type {Promise}
+     */
+    this.openPromise = Promise.resolve(null);
+
+    /**
+     * The last {@link Promise} returned by {@link RedisCluster#close}.
+     * @protected
+     * @type {Promise}
+     */
+    this.closePromise = Promise.resolve(null);
+
+    /**
+     * A serial queue of open and close promises.
+     * @protected
+     * @type {PromiseQueue}
+     */
+    this.promiseQueue = new PromiseQueue(1);
+  }
+
+  /**
+   * Open every node and join them into a cluster. Resolves with connection
+   * details of every node once each reports {@linkcode cluster_state:ok}.
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  open(callback) {
+    const promise = RedisCluster.open(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Close every node.
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  close(callback) {
+    const promise = RedisCluster.close(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+}
+
+module.exports = exports = RedisCluster;
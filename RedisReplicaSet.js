@@ -0,0 +1,513 @@
+'use strict';
+
+/**
+ * Configuration options for a {@link RedisReplicaSet}.
+ * @typedef {Object} RedisReplicaSet~Config
+ * @property {Number} [replicas=2]
+ * The number of replicas to start along with a master.
+ * @property {RedisServer~Config} [master]
+ * Configuration for the master; {@link RedisServer~Config#port} defaults to
+ * {@linkcode 'auto'}.
+ * @property {RedisServer~Config} [replica]
+ * Configuration for each replica; {@link RedisServer~Config#port} defaults
+ * to {@linkcode 'auto'} and {@link RedisServer~Config#replicaof} is set to
+ * the address of the master.
+ * @property {Number} [syncTimeout]
+ * Milliseconds to wait for replicas to sync with a master; the
+ * {@link RedisServer~Config#openTimeout} of the replicas, if any, or 10
+ * seconds by default.
+ */
+
+/**
+ * Emitted when attempting to start a replica set.
+ * @event RedisReplicaSet#opening
+ */
+
+/**
+ * Emitted once the replicas of a replica set are in sync with its master.
+ * @event RedisReplicaSet#open
+ */
+
+/**
+ * Emitted when attempting to stop a replica set.
+ * @event RedisReplicaSet#closing
+ */
+
+/**
+ * Emitted once every Redis server of a replica set has stopped.
+ * @event RedisReplicaSet#close
+ */
+
+/**
+ * Emitted once a replica is promoted to master and the other replicas are
+ * in sync with it.
+ * @event RedisReplicaSet#promote
+ * @type {RedisServer}
+ */
+
+const events = require('events');
+const PromiseQueue = require('promise-queue');
+const RedisServer = require('./RedisServer');
+const syncInterval = 100;
+const defaultSyncTimeout = 10000;
+
+/**
+ * Start and stop a Redis master with replicas.
+ * @class
+ */
+class RedisReplicaSet extends events.EventEmitter {
+
+  /**
+   * Populate a given {@link RedisReplicaSet~Config} with values from a
+   * given {@link RedisReplicaSet~Config}.
+   * @protected
+   * @argument {RedisReplicaSet~Config} source
+   * @argument {RedisReplicaSet~Config} target
+   * @return {RedisReplicaSet~Config}
+   * @throws {TypeError}
+   */
+  static parseConfig(source, target) {
+    if (typeof source === 'number') {
+      source = { replicas: source };
+    }
+
+    if (source == null || typeof source !== 'object') {
+      return target;
+    }
+
+    if (source.replicas != null) {
+      if (
+        typeof source.replicas !== 'number' ||
+        source.replicas < 0 ||
+        source.replicas % 1 !== 0
+      ) {
+        throw new TypeError('Replicas must be a non-negative integer');
+      }
+
+      target.replicas = source.replicas;
+    }
+
+    if (source.master != null) {
+      target.master = source.master;
+    }
+
+    if (source.replica != null) {
+      target.replica = source.replica;
+    }
+
+    if (source.syncTimeout != null) {
+      target.syncTimeout = source.syncTimeout;
+    }
+
+    return target;
+  }
+
+  /**
+   * Create a {@link RedisServer} for a replica set with a given
+   * {@linkcode config} that binds to any free port unless told otherwise.
+   * @protected
+   * @argument {RedisServer~Config} config
+   * @return {RedisServer}
+   * @throws {TypeError}
+   */
+  static createServer(config) {
+    const server = new RedisServer(Object.assign({ port: 'auto' }, config));
+
+    if (server.config.port === false) {
+      throw new TypeError('Servers of a replica set must listen on TCP');
+    }
+
+    return server;
+  }
+
+  /**
+   * Get the address of the master of a given {@linkcode set} in the form
+   * used by {@linkcode REPLICAOF}.
+   * @protected
+   * @argument {RedisReplicaSet} set
+   * @return {Array.<String>}
+   */
+  static getMasterAddress(set) {
+    const connection = set.master.connection;
+
+    return [connection.host, String(connection.port)];
+  }
+
+  /**
+   * Get build information of the Redis server binary of a given
+   * {@linkcode server}; {@linkcode null} when it does not report a version.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static getVersion(server) {
+    if (server.version !== null) {
+      return Promise.resolve(server.version);
+    }
+
+    return RedisServer
+      .version(
+        server.bin,
+        RedisServer.getBackend(server),
+        server.config.openTimeout
+      )
+      .catch(() => null);
+  }
+
+  /**
+   * Determine if a given {@linkcode version} of Redis predates
+   * {@linkcode REPLICAOF} and only knows {@linkcode SLAVEOF}.
+   * @protected
+   * @argument {RedisServer~Version} version
+   * @return {Boolean}
+   */
+  static isLegacy(version) {
+    return version !== null && !RedisServer.isSupported(version, 'replicaof');
+  }
+
+  /**
+   * Point a given {@linkcode server} at the master of a given
+   * {@linkcode set}; for the running Redis server, if any, and the next one.
+   * The password of the master is used as {@linkcode masterauth} unless one
+   * is set.
+   * @protected
+   * @argument {RedisReplicaSet} set
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static follow(set, server) {
+    const address = RedisReplicaSet.getMasterAddress(set);
+    const password = set.master.connection.password;
+    const config = server.config.config;
+    const authPromise = password == null ||
+      config !== null && config.masterauth !== undefined
+      ? Promise.resolve(null)
+      : server.configure({ masterauth: password });
+
+    return authPromise
+      .then(() => RedisReplicaSet.getVersion(server))
+      .then((version) => {
+        const isLegacy = RedisReplicaSet.isLegacy(version);
+
+        server.config.replicaof = isLegacy ? null : address.join(' ');
+        server.config.slaveof = isLegacy ? address.join(' ') : null;
+
+        if (!server.isRunning) {
+          return null;
+        }
+
+        return server.command(
+          [isLegacy ? 'SLAVEOF' : 'REPLICAOF'].concat(address)
+        );
+      });
+  }
+
+  /**
+   * Wait for the running replicas of a given {@linkcode set} to report that
+   * their link to the master is up and that they have caught up with its
+   * replication offset.
+   * @protected
+   * @argument {RedisReplicaSet} set
+   * @return {Promise}
+   */
+  static sync(set) {
+    const timeout = set.config.syncTimeout;
+    const deadline = timeout > 0 ? Date.now() + timeout : Infinity;
+
+    /**
+     * Compare replication offsets once and try again later unless every
+     * replica is in sync.
+     * @return {Promise}
+     */
+    const check = () => set.master
+      .command('INFO replication')
+      .then((reply) => {
+        const offset = Number(RedisServer.parseInfo(reply).master_repl_offset);
+
+        return Promise.all(set.replicas
+          .filter((replica) => replica.isRunning)
+          .map((replica) => replica
+            .command('INFO replication')
+            .then((reply) => {
+              const info = RedisServer.parseInfo(reply);
+
+              return info.master_link_status === 'up' &&
+                Number(info.slave_repl_offset) >= offset;
+            })));
+      })
+      .then((results) => {
+        if (results.every((isSynced) => isSynced)) {
+          return null;
+        }
+
+        if (Date.now() >= deadline) {
+          const err = new Error(
+            `Replicas were not in sync within ${timeout}ms`
+          );
+
+          err.code = -6;
+
+          throw err;
+        }
+
+        return new Promise((resolve) => setTimeout(resolve, syncInterval))
+          .then(check);
+      });
+
+    return check();
+  }
+
+  /**
+   * Start the master and then the replicas of a given {@linkcode set}.
+   * @protected
+   * @fires RedisReplicaSet#opening
+   * @fires RedisReplicaSet#open
+   * @argument {RedisReplicaSet} set
+   * @return {Promise}
+   */
+  static open(set) {
+    set.openPromise = set.promiseQueue.add(() => {
+      set.emit('opening');
+
+      return set.master
+        .open()
+        .then(() => Promise.all(set.replicas.map((replica) =>
+          RedisReplicaSet
+            .follow(set, replica)
+            .then(() => replica.open()))))
+        .then(() => RedisReplicaSet.sync(set))
+        .then(() => {
+          set.emit('open');
+
+          return set.master.connection;
+        }, (err) => RedisReplicaSet.stop(set).then(() => {
+          throw err;
+        }));
+    });
+
+    return set.openPromise;
+  }
+
+  /**
+   * Stop every Redis server of a given {@linkcode set} without waiting for
+   * other operations to complete.
+   * @protected
+   * @argument {RedisReplicaSet} set
+   * @return {Promise}
+   */
+  static stop(set) {
+    return Promise.all(
+      [set.master].concat(set.replicas).map((server) => server.close())
+    ).then(() => null);
+  }
+
+  /**
+   * Stop every Redis server of a given {@linkcode set}.
+   * @protected
+   * @fires RedisReplicaSet#closing
+   * @fires RedisReplicaSet#close
+   * @argument {RedisReplicaSet} set
+   * @return {Promise}
+   */
+  static close(set) {
+    set.closePromise = set.promiseQueue.add(() => {
+      set.emit('closing');
+
+      return RedisReplicaSet.stop(set).then(() => {
+        set.emit('close');
+
+        return null;
+      });
+    });
+
+    return set.closePromise;
+  }
+
+  /**
+   * Promote a given {@linkcode replica} of a given {@linkcode set} to master.
+   * The other replicas, and the previous master, are made replicas of it.
+   * @protected
+   * @fires RedisReplicaSet#promote
+   * @argument {RedisReplicaSet} set
+   * @argument {(Number|RedisServer)} replica
+   * An index of {@link RedisReplicaSet#replicas} or one of its elements.
+   * @return {Promise}
+   */
+  static promote(set, replica) {
+    const index = typeof replica === 'number'
+      ? replica
+      : set.replicas.indexOf(replica);
+    const server = set.replicas[index];
+
+    if (server === undefined) {
+      return Promise.reject(new TypeError('Unknown replica'));
+    }
+
+    return set.promiseQueue.add(() => server
+      .command(RedisReplicaSet.isLegacy(server.version)
+        ? 'SLAVEOF NO ONE'
+        : 'REPLICAOF NO ONE')
+      .then(() => {
+        server.config.replicaof = null;
+        server.config.slaveof = null;
+
+        set.replicas = set.replicas
+          .filter((other) => other !== server)
+          .concat(set.master);
+        set.master = server;
+
+        return Promise.all(set.replicas.map((other) =>
+          RedisReplicaSet.follow(set, other)));
+      })
+      .then(() => RedisReplicaSet.sync(set))
+      .then(() => {
+        set.emit('promote', server);
+
+        return server.connection;
+      }));
+  }
+
+  /**
+   * Construct a new {@link RedisReplicaSet}.
+   * @argument {(Number|RedisReplicaSet~Config)} [configOrReplicas]
+   * A number of replicas or an object for configuration.
+   */
+  constructor(configOrReplicas) {
+    super();
+
+    /**
+     * Configuration options.
+     * @protected
+     * @type {RedisReplicaSet~Config}
+     */
+    this.config = RedisReplicaSet.parseConfig(configOrReplicas, {
+      replicas: 2,
+      master: null,
+      replica: null,
+      syncTimeout: null
+    });
+
+    /**
+     * The master Redis server.
+     * @readonly
+     * @type {RedisServer}
+     */
+    this.master = RedisReplicaSet.createServer(this.config.master);
+
+    /**
+     * The replica Redis servers.
+     * @readonly
+     * @type {Array.<RedisServer>}
+     */
+    this.replicas = [];
+
+    for (let i = 0; i < this.config.replicas; ++i) {
+      this.replicas.push(RedisReplicaSet.createServer(this.config.replica));
+    }
+
+    // A replica that never links up with the master (e.g. for lack of its
+    // password) must not keep the set from opening forever.
+    if (this.config.syncTimeout === null) {
+      const openTimeout = this.replicas.length === 0
+        ? null
+        : this.replicas[0].config.openTimeout;
+
+      this.config.syncTimeout = openTimeout > 0
+        ? openTimeout
+        : defaultSyncTimeout;
+    }
+
+    /**
+     * The last {@link Promise} returned by {@link RedisReplicaSet#open}.
+     * @protected
+     * @type {Promise}
+     */
+    this.openPromise = Promise.resolve(null);
+
+    /**
+     * The last {@link Promise} returned by {@link RedisReplicaSet#close}.
+     * @protected
+     * @type {Promise}
+     */
+    this.closePromise = Promise.resolve(null);
+
+    /**
+     * A serial queue of open, close, and promote promises.
+     * @protected
+     * @type {PromiseQueue}
+     */
+    this.promiseQueue = new PromiseQueue(1);
+  }
+
+  /**
+   * Open the master and replicas. Resolves with connection details of the
+   * master once the replicas are in sync with it.
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  open(callback) {
+    const promise = RedisReplicaSet.open(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Wait for the running replicas to be in sync with the master.
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  sync(callback) {
+    const promise = RedisReplicaSet.sync(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Promote a replica to master.
+   * @argument {(Number|RedisServer)} replica
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  promote(replica, callback) {
+    const promise = RedisReplicaSet.promote(this, replica);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Close the master and replicas.
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  close(callback) {
+    const promise = RedisReplicaSet.close(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+}
+
+module.exports = exports = RedisReplicaSet;
@@ -0,0 +1,380 @@
+'use strict';
+
+/**
+ * Configuration options for a {@link RedisSentinel}; those of a
+ * {@link RedisServer} and the masters to monitor.
+ * @typedef {RedisServer~Config} RedisSentinel~Config
+ * @property {String} [bin=redis-sentinel]
+ * @property {(Number|String|Boolean)} [port=26379]
+ * @property {Array.<RedisSentinel~Monitor>} [monitors]
+ */
+
+/**
+ * A master for a {@link RedisSentinel} to monitor.
+ * @typedef {Object} RedisSentinel~Monitor
+ * @property {String} name
+ * A master name (e.g. {@linkcode 'mymaster'}).
+ * @property {(String|RedisServer|RedisReplicaSet)} master
+ * An address (e.g. {@linkcode '127.0.0.1 6379'}), a {@link RedisServer}, or
+ * a {@link RedisReplicaSet} whose master to monitor once it is running.
+ * @property {Number} [quorum=1]
+ * @property {RedisServer~Directives} [config]
+ * Sentinel options for the master by name (e.g.
+ * {@linkcode down-after-milliseconds}).
+ */
+
+/**
+ * An address of a Redis server reported by Sentinel.
+ * @typedef {Object} RedisSentinel~Address
+ * @property {String} host
+ * @property {Number} port
+ */
+
+/**
+ * A Redis server that Sentinel considers subjectively down.
+ * @typedef {Object} RedisSentinel~Instance
+ * @property {String} role
+ * {@linkcode 'master'}, {@linkcode 'slave'}, or {@linkcode 'sentinel'}.
+ * @property {String} name
+ * @property {String} host
+ * @property {Number} port
+ * @property {Object} master
+ * The name, host, and port of the master of a replica or sentinel;
+ * {@linkcode null} for a master.
+ */
+
+/**
+ * A change of the master of a monitored replica set.
+ * @typedef {Object} RedisSentinel~SwitchMaster
+ * @property {String} name
+ * @property {RedisSentinel~Address} from
+ * @property {RedisSentinel~Address} to
+ */
+
+/**
+ * Emitted when Sentinel considers a Redis server down ("+sdown").
+ * @event RedisSentinel#sdown
+ * @type {RedisSentinel~Instance}
+ */
+
+/**
+ * Emitted when Sentinel switches the master of a monitored replica set
+ * ("+switch-master").
+ * @event RedisSentinel#switchMaster
+ * @type {RedisSentinel~SwitchMaster}
+ */
+
+const RedisServer = require('./RedisServer');
+const regExp = {
+  instanceEvent: /^([+-][a-z-]+)\s+(master|slave|sentinel)\s+(\S+)\s+(\S+)\s+(\d+)(?:\s+@\s+(\S+)\s+(\S+)\s+(\d+))?/,
+  switchMasterEvent: /^\+switch-master\s+(\S+)\s+(\S+)\s+(\d+)\s+(\S+)\s+(\d+)/,
+  masterName: /^[^\s"']+$/
+};
+
+/**
+ * Start and stop a local Redis Sentinel.
+ * @class
+ */
+class RedisSentinel extends RedisServer {
+
+  /**
+   * Get {@link RedisServer~Config} for a {@link RedisSentinel} that uses a
+   * generated configuration file unless told otherwise.
+   * @protected
+   * @argument {(Number|String|RedisSentinel~Config)} [configOrPort]
+   * @return {RedisServer~Config}
+   */
+  static createConfig(configOrPort) {
+    const config = typeof configOrPort === 'number' ||
+      typeof configOrPort === 'string'
+      ? { port: configOrPort }
+      : Object.assign({}, configOrPort);
+
+    if (config.bin == null) {
+      config.bin = 'redis-sentinel';
+    }
+
+    if (config.conf == null) {
+      // Sentinel needs a configuration file that it can write its state to.
+      config.conf = {};
+
+      if (config.port == null) {
+        config.port = 26379;
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Parse a list of {@link RedisSentinel~Monitor}.
+   * @protected
+   * @argument {Array.<RedisSentinel~Monitor>} monitors
+   * @return {Array.<RedisSentinel~Monitor>}
+   * @throws {TypeError}
+   */
+  static parseMonitors(monitors) {
+    if (monitors == null) {
+      return [];
+    }
+
+    if (!Array.isArray(monitors)) {
+      throw new TypeError('Monitors must be an array');
+    }
+
+    return monitors.map((monitor) => {
+      if (
+        monitor == null ||
+        typeof monitor.name !== 'string' ||
+        !regExp.masterName.test(monitor.name)
+      ) {
+        throw new TypeError('A monitor must have a master name');
+      }
+
+      if (
+        typeof monitor.master !== 'string' &&
+        !(monitor.master instanceof RedisServer) &&
+        !(monitor.master != null && monitor.master.master instanceof RedisServer)
+      ) {
+        throw new TypeError(
+          `Invalid master for monitor "${monitor.name}"`
+        );
+      }
+
+      const quorum = monitor.quorum == null ? 1 : monitor.quorum;
+
+      if (typeof quorum !== 'number' || quorum < 1 || quorum % 1 !== 0) {
+        throw new TypeError(
+          `Invalid quorum for monitor "${monitor.name}"`
+        );
+      }
+
+      const config = RedisServer.parseDirectives(
+        monitor.config == null ? {} : monitor.config,
+        []
+      );
+
+      if (config.monitor != null) {
+        throw new TypeError(
+          'Use RedisSentinel~Monitor#master instead of the "monitor" option'
+        );
+      }
+
+      return {
+        name: monitor.name,
+        master: monitor.master,
+        quorum,
+        config
+      };
+    });
+  }
+
+  /**
+   * Get the host and port of the master of a given
+   * {@link RedisSentinel~Monitor} and the password of it, if known.
+   * @protected
+   * @argument {RedisSentinel~Monitor} monitor
+   * @return {Array.<String>}
+   * @throws {Error}
+   */
+  static getMonitorAddress(monitor) {
+    if (typeof monitor.master === 'string') {
+      return RedisServer.parseArguments(monitor.master).concat(null);
+    }
+
+    const server = monitor.master instanceof RedisServer
+      ? monitor.master
+      : monitor.master.master;
+    const connection = server.connection;
+
+    if (connection === null || connection.port === null) {
+      const err = new Error(
+        `Master "${monitor.name}" is not running on a TCP port`
+      );
+
+      err.code = -3;
+
+      throw err;
+    }
+
+    return [connection.host, String(connection.port), connection.password];
+  }
+
+  /**
+   * Format a list of {@link RedisSentinel~Monitor} as arguments of
+   * {@linkcode sentinel} directives.
+   * @protected
+   * @argument {Array.<RedisSentinel~Monitor>} monitors
+   * @return {Array.<Array.<String>>}
+   * @throws {Error}
+   */
+  static formatMonitors(monitors) {
+    const directives = [];
+
+    for (let monitor of monitors) {
+      const address = RedisSentinel.getMonitorAddress(monitor);
+
+      directives.push([
+        'monitor',
+        monitor.name,
+        address[0],
+        address[1],
+        String(monitor.quorum)
+      ]);
+
+      if (address[2] != null && monitor.config['auth-pass'] === undefined) {
+        directives.push(['auth-pass', monitor.name, address[2]]);
+      }
+
+      for (let option of Object.keys(monitor.config)) {
+        for (let args of monitor.config[option]) {
+          directives.push([option, monitor.name].concat(args));
+        }
+      }
+    }
+
+    return directives;
+  }
+
+  /**
+   * Write a temporary configuration file for a given {@linkcode sentinel}
+   * with the current addresses of the masters it monitors; each time a
+   * process is spawned, whether it opens, restarts, or respawns.
+   * @protected
+   * @argument {RedisSentinel} sentinel
+   * @return {Promise}
+   */
+  static writeConf(sentinel) {
+    if (typeof sentinel.baseConf === 'object') {
+      try {
+        const directives = (sentinel.baseConf.sentinel || []).concat(
+          RedisSentinel.formatMonitors(sentinel.config.monitors)
+        );
+
+        sentinel.config.conf = Object.assign(
+          Object.create(null),
+          sentinel.baseConf
+        );
+
+        if (directives.length !== 0) {
+          sentinel.config.conf.sentinel = directives;
+        }
+      }
+      catch (err) {
+        return Promise.reject(err);
+      }
+    }
+
+    return super.writeConf(sentinel);
+  }
+
+  /**
+   * Emit an event for a given Sentinel log {@linkcode message} from a given
+   * {@linkcode sentinel}, if it is one of interest.
+   * @protected
+   * @fires RedisSentinel#sdown
+   * @fires RedisSentinel#switchMaster
+   * @argument {RedisSentinel} sentinel
+   * @argument {String} message
+   * @return {undefined}
+   */
+  static parseEvent(sentinel, message) {
+    const switchMatches = regExp.switchMasterEvent.exec(message);
+
+    if (switchMatches !== null) {
+      sentinel.emit('switchMaster', {
+        name: switchMatches[1],
+        from: { host: switchMatches[2], port: Number(switchMatches[3]) },
+        to: { host: switchMatches[4], port: Number(switchMatches[5]) }
+      });
+
+      return;
+    }
+
+    const matches = regExp.instanceEvent.exec(message);
+
+    if (matches === null || matches[1] !== '+sdown') {
+      return;
+    }
+
+    sentinel.emit('sdown', {
+      role: matches[2],
+      name: matches[3],
+      host: matches[4],
+      port: Number(matches[5]),
+      master: matches[6] === undefined ? null : {
+        name: matches[6],
+        host: matches[7],
+        port: Number(matches[8])
+      }
+    });
+  }
+
+  /**
+   * Ask the Sentinel of a given {@linkcode sentinel} for the address of the
+   * master named {@linkcode name}.
+   * @protected
+   * @argument {RedisSentinel} sentinel
+   * @argument {String} name
+   * @return {Promise}
+   */
+  static getMasterAddress(sentinel, name) {
+    return sentinel
+      .command(['SENTINEL', 'get-master-addr-by-name', name])
+      .then((reply) => reply === null
+        ? null
+        : { host: reply[0], port: Number(reply[1]) });
+  }
+
+  /**
+   * Construct a new {@link RedisSentinel}.
+   * @argument {(Number|String|RedisSentinel~Config)} [configOrPort]
+   * A number or string that is a port or an object for configuration.
+   */
+  constructor(configOrPort) {
+    const config = RedisSentinel.createConfig(configOrPort);
+
+    super(config);
+
+    this.config.monitors = RedisSentinel.parseMonitors(config.monitors);
+
+    if (
+      typeof this.config.conf === 'string' &&
+      this.config.monitors.length !== 0
+    ) {
+      throw new TypeError(
+        'Monitors require RedisServer~Config#conf to be directives'
+      );
+    }
+
+    /**
+     * Directives to write to a configuration file along with those for
+     * {@link RedisSentinel~Config#monitors}.
+     * @protected
+     * @type {RedisServer~Directives}
+     */
+    this.baseConf = this.config.conf;
+
+    this.on('log', (entry) => RedisSentinel.parseEvent(this, entry.message));
+  }
+
+  /**
+   * Get the address of a monitored master by name.
+   * @argument {String} name
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  getMasterAddress(name, callback) {
+    const promise = RedisSentinel.getMasterAddress(this, name);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+}
+
+module.exports = exports = RedisSentinel;
@@ -4,9 +4,213 @@
  * Configuration options for a {@link RedisServer}.
  * @typedef {Object} RedisServer~Config
  * @property {String} [bin=redis-server]
- * @property {String} [conf]
- * @property {(Number|String)} [port=6379]
+ * @property {Boolean} [checkBin=false]
+ * Find {@link RedisServer~Config#bin} in $PATH before spawning a process.
+ * @property {String} [version]
+ * A range of Redis versions (e.g. {@linkcode '>=6.2 <8'}) to select a binary
+ * from those found by {@link RedisServer.findBins} with.
+ * @property {RedisServer~Backend} [backend]
+ * How to run Redis server processes; a local binary by default.
+ * @property {(String|RedisServer~Directives)} [conf]
+ * A configuration file path or directives to write to a temporary one.
+ * @property {(Number|String|Boolean)} [port=6379]
+ * A port to bind to, {@linkcode 'auto'} (or {@linkcode 0}) for any free port,
+ * or {@linkcode false} to not listen on TCP.
+ * @property {String} [replicaof]
+ * An address of a master Redis server (e.g. {@linkcode '127.0.0.1 6379'}).
  * @property {(String)} [slaveof]
+ * The legacy name of {@link RedisServer~Config#replicaof}.
+ * @property {(String|Boolean)} [dir]
+ * A data directory path or {@linkcode true} for a temporary one.
+ * @property {Boolean} [keepDir=false]
+ * Keep a temporary data directory once a Redis server closes.
+ * @property {(String|Boolean)} [socket]
+ * A Unix socket path or {@linkcode true} for a temporary one.
+ * @property {(Number|String)} [socketPerm]
+ * Unix socket permissions (e.g. {@linkcode 0o700} or {@linkcode '700'}).
+ * @property {RedisServer~Directives} [config]
+ * @property {Number} [openTimeout]
+ * Milliseconds to wait for a Redis server to start before killing it.
+ * @property {Number} [closeTimeout]
+ * Milliseconds to wait for a Redis server to stop before killing it.
+ * @property {Boolean} [supervise=false]
+ * Start a Redis server again when it exits without being closed.
+ * @property {Number} [respawnDelay=100]
+ * Milliseconds to wait before the first respawn; doubled for each one after.
+ * @property {Number} [maxRespawns=10]
+ * The number of times in a row to respawn a Redis server before giving up.
+ * @property {Boolean} [detached=false]
+ * Let a Redis server outlive this process and record it in a pidfile that
+ * {@link RedisServer.attach} accepts.
+ * @property {String} [pidfile]
+ * A pidfile path for a detached Redis server; {@linkcode redis-server-} and
+ * its port (or process ID) in its data directory or the temporary directory
+ * of the OS by default.
+ */
+
+/**
+ * Redis configuration directives keyed by name (e.g. {@linkcode maxmemory}).
+ * A value may be a string of whitespace-separated arguments (quoted as in a
+ * redis.conf file), a number, a boolean (for "yes" or "no"), or an array of
+ * those to repeat a directive. An array within an array is a list of literal
+ * arguments.
+ * @typedef {Object.<String, *>} RedisServer~Directives
+ */
+
+/**
+ * How to connect to a running Redis server.
+ * @typedef {Object} RedisServer~Connection
+ * @property {String} host
+ * A TCP host or {@linkcode null} when not listening on TCP.
+ * @property {Number} port
+ * A TCP port or {@linkcode null} when not listening on TCP.
+ * @property {String} socket
+ * A Unix socket path or {@linkcode null} when not listening on one.
+ * @property {String} password
+ * The {@linkcode requirepass} password, if any.
+ * @property {String} url
+ * A {@linkcode redis://} URL or {@linkcode null} when not listening on TCP.
+ */
+
+/**
+ * A way of running Redis server processes (e.g. a local binary, a command
+ * that wraps one, or a Docker container).
+ * @typedef {Object} RedisServer~Backend
+ * @property {String} name
+ * @property {Boolean} local
+ * Whether binaries of this machine are run, so that they may be looked for
+ * ({@link RedisServer~Config#checkBin}) and selected by version
+ * ({@link RedisServer~Config#version}).
+ * @property {RedisServer~spawn} spawn
+ */
+
+/**
+ * Start a Redis server process.
+ * @callback RedisServer~spawn
+ * @argument {String} bin
+ * A Redis server binary.
+ * @argument {Array.<String>} args
+ * Arguments for it.
+ * @argument {RedisServer~SpawnOptions} options
+ * @return {RedisServer~Process}
+ */
+
+/**
+ * Options for {@link RedisServer~spawn}.
+ * @typedef {Object} RedisServer~SpawnOptions
+ * @property {RedisServer~Config} config
+ * Configuration of the process, with the port, data directory, Unix socket,
+ * and configuration file path it uses (e.g. for a container to mount).
+ * @property {Boolean} detached
+ * Whether the process is to outlive this one (e.g. in a process group of
+ * its own).
+ */
+
+/**
+ * A Redis server process like a {@linkcode ChildProcess}. It emits "error"
+ * when it cannot be started and "close" with an exit code and signal once it
+ * exits and its output ends.
+ * @typedef {EventEmitter} RedisServer~Process
+ * @property {stream.Readable} stdout
+ * @property {stream.Readable} stderr
+ * @property {Function} kill
+ * Called with a signal (e.g. {@linkcode 'SIGKILL'}), if any, to stop it.
+ */
+
+/**
+ * Options for {@link RedisServer.createDockerBackend}.
+ * @typedef {Object} RedisServer~DockerOptions
+ * @property {String} [image=redis]
+ * @property {String} [tag=latest]
+ * @property {String} [command=docker]
+ * A Docker CLI binary.
+ * @property {String} [network=host]
+ * A network for containers; ports are published unless it is
+ * {@linkcode 'host'}.
+ * @property {Array.<String>} [args]
+ * More arguments for {@linkcode docker run} (e.g. {@linkcode --memory}).
+ */
+
+/**
+ * Build information of a Redis server binary.
+ * @typedef {Object} RedisServer~Version
+ * @property {String} version
+ * A version number (e.g. {@linkcode '7.2.4'}).
+ * @property {Number} major
+ * @property {Number} minor
+ * @property {Number} patch
+ * @property {String} sha
+ * A Git commit of the build (e.g. {@linkcode '00000000:0'}), if reported.
+ * @property {String} malloc
+ * A memory allocator (e.g. {@linkcode 'jemalloc-5.3.0'}), if reported.
+ * @property {Number} bits
+ * {@linkcode 32} or {@linkcode 64}, if reported.
+ */
+
+/**
+ * What a detached Redis server is recorded with beside its pidfile.
+ * @typedef {Object} RedisServer~Metadata
+ * @property {Number} pid
+ * @property {String} bin
+ * @property {Number} port
+ * @property {String} dir
+ * @property {String} socket
+ * @property {String} confPath
+ * A temporary configuration file, if any.
+ * @property {RedisServer~Connection} connection
+ * @property {RedisServer~Config} config
+ * Configuration of the {@link RedisServer}, without its backend.
+ */
+
+/**
+ * A line of output from a Redis server.
+ * @typedef {Object} RedisServer~LogEntry
+ * @property {String} source
+ * The stream the line was printed to; {@linkcode 'stdout'} or
+ * {@linkcode 'stderr'}.
+ * @property {String} line
+ * The line as printed.
+ * @property {Number} pid
+ * A process ID or {@linkcode null} for a line not in the Redis log format.
+ * @property {String} role
+ * {@linkcode 'master'}, {@linkcode 'replica'}, {@linkcode 'child'},
+ * {@linkcode 'sentinel'}, or {@linkcode null}.
+ * @property {Date} time
+ * A local time or {@linkcode null}.
+ * @property {String} level
+ * {@linkcode 'debug'}, {@linkcode 'verbose'}, {@linkcode 'notice'},
+ * {@linkcode 'warning'}, or {@linkcode null}.
+ * @property {String} message
+ * The line without the Redis log prefix, if any.
+ */
+
+/**
+ * How a Redis server process exited.
+ * @typedef {Object} RedisServer~Exit
+ * @property {Number} code
+ * An exit code or {@linkcode null} when killed with a signal.
+ * @property {String} signal
+ * A signal (e.g. {@linkcode 'SIGKILL'}) or {@linkcode null}.
+ * @property {Boolean} crashed
+ * {@linkcode true} when a running Redis server exited without being closed.
+ * @property {Boolean} respawn
+ * {@linkcode true} when the Redis server is about to be started again.
+ */
+
+/**
+ * Options for {@link RedisServer#close}.
+ * @typedef {Object} RedisServer~CloseOptions
+ * @property {Boolean} [save]
+ * Stop with a {@linkcode SHUTDOWN SAVE} or {@linkcode SHUTDOWN NOSAVE}
+ * command instead of {@linkcode SIGTERM}.
+ */
+
+/**
+ * Options for {@link RedisServer#configure}.
+ * @typedef {Object} RedisServer~ConfigureOptions
+ * @property {Boolean} [rewrite]
+ * Persist changes to the configuration file of the Redis server with
+ * {@linkcode CONFIG REWRITE}; {@link RedisServer~Config#conf} must be a path.
  */
 
 /**
@@ -20,6 +224,30 @@
  * @event RedisServer#stdout
  */
 
+/**
+ * Emitted when a Redis server prints to stderr.
+ * @event RedisServer#stderr
+ */
+
+/**
+ * Emitted for each line a Redis server prints to stdout or stderr.
+ * @event RedisServer#log
+ * @type {RedisServer~LogEntry}
+ */
+
+/**
+ * A change of the lifecycle state of a {@link RedisServer}.
+ * @typedef {Object} RedisServer~StateChange
+ * @property {String} previous
+ * @property {String} next
+ */
+
+/**
+ * Emitted when the lifecycle state of a {@link RedisServer} changes.
+ * @event RedisServer#stateChange
+ * @type {RedisServer~StateChange}
+ */
+
 /**
  * Emitted when attempting to start a Redis server.
  * @event RedisServer#opening
@@ -35,20 +263,157 @@
  * @event RedisServer#closing
  */
 
+/**
+ * Emitted when a Redis server process exits, before "close".
+ * @event RedisServer#exit
+ * @type {RedisServer~Exit}
+ */
+
 /**
  * Emitted once a Redis server has stopped.
  * @event RedisServer#close
  */
 
+/**
+ * Emitted when attempting to restart a Redis server.
+ * @event RedisServer#restarting
+ */
+
+/**
+ * Emitted once a Redis server has restarted.
+ * @event RedisServer#restart
+ */
+
 const childprocess = require('child_process');
+const crypto = require('crypto');
 const events = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
 const PromiseQueue = require('promise-queue');
 const regExp = {
-  terminalMessage: /ready\s+to\s+accept|already\s+in\s+use|not\s+listen|error|denied|can't/im,
+  terminalMessage: /ready\s+to\s+accept|sentinel\s+id\s+is|unix\s+socket:|already\s+in\s+use|not\s+listen|error|denied|can't/im,
   errorMessage: /#\s+(.*error|can't.*)/im,
+  unixSocketError: /unix\s+socket:\s*(.*)$/im,
+  logLine: /^(\d+):([XCSM])\s+(\d{1,2})\s+([a-z]{3})\s+(?:(\d{4})\s+)?(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?\s+([.\-*#])\s?(.*)$/i,
+  port: /\bport=(\d+)/i,
+  infoLine: /^([^#:\s][^:]*):(.*)$/,
+  lineBreak: /\r?\n/,
+  socket: /ready\s+to\s+accept\s+connections\s+at\s+(\S+)/i,
+  optionalBind: /^-/,
+  wildcardHost: /^(\*|0\.0\.0\.0)$/,
+  wildcardIPv6Host: /^(::\*|::)$/,
   singleWhiteSpace: /\s/g,
-  multipleWhiteSpace: /\s\s+/g
+  multipleWhiteSpace: /\s\s+/g,
+  directiveName: /^[a-z][a-z0-9-]*$/,
+  whiteSpace: /\s/,
+  hexDigits: /^[0-9a-f]{2}$/i,
+  immutableConfig: /can't\s+set\s+(immutable|protected)\s+config/i,
+  unsupportedConfig: /unsupported\s+config\s+parameter/i,
+  plainArgument: /^[^\s"'\\]+$/,
+  version: /\bv(?:=|ersion\s+)(\d+)\.(\d+)\.(\d+)/i,
+  versionSha: /\bsha=(\S+)/i,
+  versionMalloc: /\bmalloc=(\S+)/i,
+  versionBits: /\bbits=(\d+)/i,
+  versionComparator: /^(<=|>=|<|>|=|\^|~)?v?(\d+|[x*])(?:\.(\d+|[x*]))?(?:\.(\d+|[x*]))?$/i,
+  versionOperator: /(<=|>=|<|>|=|\^|~)\s+/g,
+  versionWildcard: /^[x*]$/i,
+  regExpCharacters: /[.+?^${}()|[\]\\]/g
+};
+const reservedDirectives = [
+  'port',
+  'replicaof',
+  'slaveof',
+  'dir',
+  'unixsocket',
+  'unixsocketperm'
+];
+const autoPortAttempts = 10;
+const watchInterval = 100;
+const shutdownErrors = [-8, 'ECONNRESET', 'EPIPE'];
+const localBackend = {
+  name: 'local',
+  local: true,
+
+  /**
+   * Spawn a local Redis server binary.
+   * @argument {String} bin
+   * @argument {Array.<String>} args
+   * @argument {RedisServer~SpawnOptions} options
+   * @return {ChildProcess}
+   */
+  spawn(bin, args, options) {
+    return childprocess.spawn(bin, args, { detached: options.detached });
+  }
+};
+const versionCache = new WeakMap();
+const binPrefixes = [
+  '/usr/local/bin',
+  '/usr/bin',
+  '/opt/local/bin',
+  '/opt/homebrew/bin',
+  '/snap/bin',
+  '/usr/local/opt/redis*/bin',
+  '/opt/homebrew/opt/redis*/bin',
+  '/usr/local/Cellar/redis*/*/bin',
+  '/opt/homebrew/Cellar/redis*/*/bin',
+  '/usr/local/redis*/bin',
+  '/usr/local/redis*/src',
+  '/opt/redis*/bin',
+  '/opt/redis*/src',
+  '/opt/redis/*/bin'
+];
+const featureVersions = {
+  replicaof: '5.0.0',
+  aclfile: '6.0.0',
+  user: '6.0.0',
+  'tls-port': '6.0.0',
+  'io-threads': '6.0.0',
+  hello: '6.0.0'
+};
+const stateTransitions = {
+  stopped: ['starting'],
+  starting: ['running', 'stopping', 'failed'],
+  running: ['stopping', 'failed'],
+  stopping: ['stopped', 'running', 'failed'],
+  failed: ['starting']
+};
+const logRoles = {
+  X: 'sentinel',
+  C: 'child',
+  S: 'replica',
+  M: 'master'
 };
+const logLevels = {
+  '.': 'debug',
+  '-': 'verbose',
+  '*': 'notice',
+  '#': 'warning'
+};
+const months = 'janfebmaraprmayjunjulaugsepoctnovdec';
+const outputTailLength = 10;
+const doubleReplies = {
+  'inf': Infinity,
+  '-inf': -Infinity,
+  'nan': NaN
+};
+const escapeSequences = {
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  b: '\b',
+  a: '\x07'
+};
+const escapeCharacters = Object.keys(escapeSequences).reduce((o, k) => {
+  o[escapeSequences[k]] = `\\${k}`;
+
+  return o;
+}, {
+  '"': '\\"',
+  '\\': '\\\\'
+});
 
 /**
  * Start and stop a local Redis server like a boss.
@@ -63,6 +428,7 @@ class RedisServer extends events.EventEmitter {
    * @argument {RedisServer~Config} source
    * @argument {RedisServer~Config} target
    * @return {RedisServer~Config}
+   * @throws {TypeError}
    */
   static parseConfig(source, target) {
     if (target == null) {
@@ -83,10 +449,31 @@ class RedisServer extends events.EventEmitter {
       target.bin = source.bin;
     }
 
+    if (source.checkBin != null) {
+      target.checkBin = source.checkBin;
+    }
+
+    if (source.version != null) {
+      RedisServer.parseVersionRange(source.version);
+      target.version = source.version;
+    }
+
+    if (source.backend != null) {
+      if (typeof source.backend.spawn !== 'function') {
+        throw new TypeError('A backend must have a spawn function');
+      }
+
+      target.backend = source.backend;
+    }
+
     if (source.conf != null) {
-      target.conf = source.conf;
+      target.conf = typeof source.conf === 'object'
+        ? RedisServer.parseDirectives(source.conf, [])
+        : source.conf;
+    }
 
-      return target;
+    if (source.replicaof != null) {
+      target.replicaof = source.replicaof;
     }
 
     if (source.slaveof != null) {
@@ -97,223 +484,3102 @@ class RedisServer extends events.EventEmitter {
       target.port = source.port;
     }
 
-    return target;
-  }
+    if (source.dir != null) {
+      target.dir = source.dir;
+    }
 
-  /**
-   * Parse process flags for Redis from a given {@link RedisServer~Config}.
-   * @protected
-   * @argument {RedisServer~Config} config
-   * @return {Array.<String>}
-   */
-  static parseFlags(config) {
-    if (config.conf != null) {
-      return [config.conf];
+    if (source.keepDir != null) {
+      target.keepDir = source.keepDir;
     }
 
-    const flags = [];
+    if (source.socket != null) {
+      target.socket = source.socket;
+    }
 
-    if (config.port != null) {
-      flags.push(`--port ${config.port}`);
+    if (source.socketPerm != null) {
+      target.socketPerm = source.socketPerm;
     }
 
-    if (config.slaveof != null) {
-      flags.push(`--slaveof ${config.slaveof}`);
+    if (source.openTimeout != null) {
+      target.openTimeout = source.openTimeout;
     }
 
-    return flags;
+    if (source.closeTimeout != null) {
+      target.closeTimeout = source.closeTimeout;
+    }
+
+    if (source.supervise != null) {
+      target.supervise = source.supervise;
+    }
+
+    if (source.respawnDelay != null) {
+      target.respawnDelay = source.respawnDelay;
+    }
+
+    if (source.maxRespawns != null) {
+      target.maxRespawns = source.maxRespawns;
+    }
+
+    if (source.detached != null) {
+      target.detached = source.detached;
+    }
+
+    if (source.pidfile != null) {
+      target.pidfile = source.pidfile;
+    }
+
+    if (source.config != null) {
+      target.config = RedisServer.parseDirectives(
+        source.config,
+        reservedDirectives
+      );
+    }
+
+    return target;
   }
 
   /**
-   * Parse Redis server output for terminal messages.
+   * Split a given {@linkcode string} into arguments the way Redis splits a
+   * line of a configuration file.
    * @protected
+   * @throws {TypeError} When a quoted argument is unbalanced.
    * @argument {String} string
-   * @return {Object}
+   * @return {Array.<String>}
    */
-  static parseData(string) {
-    const matches = regExp.terminalMessage.exec(string);
-
-    if (matches === null) {
-      return null;
-    }
+  static parseArguments(string) {
+    const args = [];
+    let index = 0;
 
-    const result = {
-      err: null,
-      key: matches
-        .pop()
-        .replace(regExp.singleWhiteSpace, '')
-        .toLowerCase()
-    };
+    while (index < string.length) {
+      while (regExp.whiteSpace.test(string.charAt(index))) {
+        ++index;
+      }
 
-    switch (result.key) {
-      case 'readytoaccept':
+      if (index >= string.length) {
         break;
+      }
 
-      case 'alreadyinuse':
-        result.err = new Error('Address already in use');
-        result.err.code = -1;
+      const quote = string.charAt(index);
+      let arg = '';
 
-        break;
+      if (quote !== '"' && quote !== '\'') {
+        while (
+          index < string.length &&
+          !regExp.whiteSpace.test(string.charAt(index))
+        ) {
+          arg += string.charAt(index++);
+        }
 
-      case 'denied':
-        result.err = new Error('Permission denied');
-        result.err.code = -2;
+        args.push(arg);
 
-        break;
+        continue;
+      }
 
-      case 'notlisten':
-        result.err = new Error('Invalid port number');
-        result.err.code = -3;
+      ++index;
 
-        break;
+      for (;;) {
+        if (index >= string.length) {
+          throw new TypeError(`Unbalanced quotes in "${string}"`);
+        }
 
-      case 'can\'t':
-      case 'error':
-        result.err = new Error(
-          regExp.errorMessage
-            .exec(string)
-            .pop()
-            .replace(regExp.multipleWhiteSpace, ' ')
+        const char = string.charAt(index++);
+
+        if (char === quote) {
+          break;
+        }
+
+        if (char !== '\\' || index >= string.length) {
+          arg += char;
+
+          continue;
+        }
+
+        const next = string.charAt(index++);
+
+        if (quote === '\'') {
+          arg += next === '\'' ? next : char + next;
+        }
+        else if (
+          next === 'x' &&
+          regExp.hexDigits.test(string.substr(index, 2))
+        ) {
+          arg += String.fromCharCode(parseInt(string.substr(index, 2), 16));
+          index += 2;
+        }
+        else {
+          arg += escapeSequences[next] || next;
+        }
+      }
+
+      if (
+        index < string.length &&
+        !regExp.whiteSpace.test(string.charAt(index))
+      ) {
+        throw new TypeError(
+          `Closing quote must be followed by a space in "${string}"`
         );
-        result.err.code = -3;
+      }
 
-        break;
+      args.push(arg);
     }
 
-    return result;
+    return args;
   }
 
   /**
-   * Start a given {@linkcode server}.
+   * Parse a literal argument for a directive named {@linkcode name}.
    * @protected
-   * @fires RedisServer#stdout
-   * @fires RedisServer#opening
-   * @fires RedisServer#open
-   * @fires RedisServer#closing
-   * @fires RedisServer#close
-   * @argument {RedisServer} server
-   * @return {Promise}
+   * @throws {TypeError} When a value is not a string, number, or boolean.
+   * @argument {String} name
+   * @argument {(String|Number|Boolean)} value
+   * @return {String}
    */
-  static open(server) {
-    if (server.isOpening) {
-      return server.openPromise;
-    }
+  static parseDirectiveArgument(name, value) {
+    switch (typeof value) {
+      case 'boolean':
+        return value ? 'yes' : 'no';
 
-    server.isOpening = true;
-    server.isClosing = false;
-    server.openPromise = server.promiseQueue.add(() => {
-      if (server.isClosing || server.isRunning) {
-        server.isOpening = false;
+      case 'number':
+        if (isFinite(value)) {
+          return String(value);
+        }
 
-        return Promise.resolve(null);
-      }
+        break;
 
-      return new Promise((resolve, reject) => {
-        /**
-         * A listener for the current server process' stdout that resolves or
-         * rejects the current {@link Promise} when done.
-         * @see RedisServer.parseData
-         * @argument {Buffer} buffer
-         * @return {undefined}
-         */
-        const dataListener = (buffer) => {
-          const result = RedisServer.parseData(buffer.toString());
+      case 'string':
+        return value;
+    }
 
-          if (result === null) {
-            return;
-          }
+    throw new TypeError(`Invalid value for directive "${name}"`);
+  }
 
-          server.process.stdout.removeListener('data', dataListener);
+  /**
+   * Parse the arguments of one occurrence of a directive named
+   * {@linkcode name}. Strings are split as in a configuration file while
+   * arrays are lists of literal arguments.
+   * @protected
+   * @throws {TypeError} When a value is invalid.
+   * @argument {String} name
+   * @argument {*} value
+   * @return {Array.<String>}
+   */
+  static parseDirectiveArguments(name, value) {
+    if (Array.isArray(value)) {
+      return value.map((arg) => RedisServer.parseDirectiveArgument(name, arg));
+    }
 
-          server.isOpening = false;
+    if (typeof value === 'string') {
+      const args = RedisServer.parseArguments(value);
 
-          if (result.err === null) {
-            server.isRunning = true;
+      return args.length === 0 ? [''] : args;
+    }
 
-            server.emit('open');
-            resolve(null);
-          }
-          else {
-            server.isClosing = true;
+    return [RedisServer.parseDirectiveArgument(name, value)];
+  }
 
-            server.emit('closing');
-            server.process.once('close', () => reject(result.err));
-          }
-        };
+  /**
+   * Parse {@link RedisServer~Directives} into an object of lowercase
+   * directive names with a list of argument lists each.
+   * @protected
+   * @throws {TypeError} When a directive name or value is invalid.
+   * @argument {RedisServer~Directives} source
+   * @argument {Array.<String>} reserved
+   * Names of directives that may not be given.
+   * @return {Object.<String, Array.<Array.<String>>>}
+   */
+  static parseDirectives(source, reserved) {
+    if (typeof source !== 'object' || Array.isArray(source)) {
+      throw new TypeError('Directives must be an object');
+    }
 
-        /**
-         * A listener to close the server when the current process exits.
-         * @return {undefined}
-         */
-        const exitListener = () => {
-          // istanbul ignore next
-          server.close();
-        };
+    const target = Object.create(null);
 
-        server.emit('opening');
+    for (let key of Object.keys(source)) {
+      const name = key.toLowerCase();
+      const value = source[key];
 
-        server.process = childprocess.spawn(
-          server.config.bin,
-          RedisServer.parseFlags(server.config)
+      if (!regExp.directiveName.test(name)) {
+        throw new TypeError(`Invalid directive name "${key}"`);
+      }
+
+      if (reserved.indexOf(name) !== -1) {
+        throw new TypeError(
+          `Use RedisServer~Config#${name} instead of the "${name}" directive`
         );
+      }
 
-        server.process.stdout.on('data', dataListener);
-        server.process.on('close', () => {
-          server.process = null;
-          server.isRunning = false;
-          server.isClosing = false;
+      if (value == null) {
+        continue;
+      }
 
-          process.removeListener('exit', exitListener);
-          server.emit('close');
-        });
-        server.process.stdout.on('data', (data) => {
-          server.emit('stdout', data.toString());
-        });
-        process.on('exit', exitListener);
-      });
-    });
+      const values = Array.isArray(value) ? value : [value];
 
-    return server.openPromise;
+      target[name] = values.map((value) =>
+        RedisServer.parseDirectiveArguments(name, value));
+    }
+
+    return target;
   }
 
   /**
-   * Stop a given {@linkcode server}.
+   * Read the directives of a Redis configuration {@linkcode file}, and of
+   * those it includes, into an object like that of
+   * {@link RedisServer.parseDirectives}; empty when it cannot be read.
    * @protected
-   * @fires RedisServer#closing
-   * @argument {RedisServer} server
-   * @return {Promise}
+   * @argument {String} file
+   * @argument {Object.<String, Array.<Array.<String>>>} [target]
+   * @return {Object.<String, Array.<Array.<String>>>}
    */
-  static close(server) {
-    if (server.isClosing) {
-      return server.closePromise;
+  static readConf(file, target) {
+    let data = '';
+
+    if (target == null) {
+      target = Object.create(null);
     }
 
-    server.isClosing = true;
-    server.isOpening = false;
-    server.closePromise = server.promiseQueue.add(() => {
-      if (server.isOpening || !server.isRunning) {
-        server.isClosing = false;
+    try {
+      data = fs.readFileSync(file, 'utf8');
+    }
+    catch (err) {
+      return target;
+    }
 
-        return Promise.resolve(null);
+    for (let line of data.split(regExp.lineBreak)) {
+      let args = null;
+
+      try {
+        args = RedisServer.parseArguments(line);
+      }
+      catch (err) {
+        continue;
       }
 
-      return new Promise((resolve) => {
-        server.emit('closing');
-        server.process.once('close', () => resolve(null));
-        server.process.kill();
-      });
-    });
+      if (args.length === 0 || args[0][0] === '#') {
+        continue;
+      }
 
-    return server.closePromise;
+      const name = args[0].toLowerCase();
+
+      if (name === 'include') {
+        RedisServer.readConf(args[1], target);
+      }
+      else {
+        target[name] = (target[name] || []).concat([args.slice(1)]);
+      }
+    }
+
+    return target;
   }
 
   /**
-   * Construct a new {@link RedisServer}.
-   * @argument {(Number|String|RedisServer~Config)} [configOrPort]
-   * A number or string that is a port or an object for configuration.
+   * Format a given {@linkcode arg} for a line of a configuration file,
+   * quoting it when necessary.
+   * @protected
+   * @argument {String} arg
+   * @return {String}
    */
-  constructor(configOrPort) {
-    super();
+  static formatArgument(arg) {
+    if (regExp.plainArgument.test(arg)) {
+      return arg;
+    }
+
+    const chars = arg.split('').map((char) => {
+      const code = char.charCodeAt(0);
+
+      if (escapeCharacters[char] != null) {
+        return escapeCharacters[char];
+      }
+
+      if (code < 0x20 || code === 0x7f) {
+        return `\\x${`0${code.toString(16)}`.slice(-2)}`;
+      }
+
+      return char;
+    });
+
+    return `"${chars.join('')}"`;
+  }
+
+  /**
+   * Format parsed {@link RedisServer~Directives} as the contents of a
+   * configuration file with a line per directive occurrence.
+   * @protected
+   * @see RedisServer.parseDirectives
+   * @argument {Object.<String, Array.<Array.<String>>>} directives
+   * @return {String}
+   */
+  static formatConf(directives) {
+    return Object.keys(directives).reduce((lines, name) =>
+      lines.concat(directives[name].map((args) =>
+        [name]
+          .concat(args.map(RedisServer.formatArgument))
+          .join(' '))), [])
+      .map((line) => `${line}\n`)
+      .join('');
+  }
+
+  /**
+   * Create a unique path in the temporary directory of the operating system.
+   * @protected
+   * @argument {String} suffix
+   * @return {String}
+   */
+  static createTempPath(suffix) {
+    const name = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+
+    return path.join(os.tmpdir(), `redis-server-${name}${suffix}`);
+  }
+
+  /**
+   * Write a temporary configuration file for a given {@linkcode server} if
+   * its {@link RedisServer~Config#conf} is a set of directives.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static writeConf(server) {
+    if (server.config.conf == null || typeof server.config.conf !== 'object') {
+      return Promise.resolve(null);
+    }
+
+    const confPath = RedisServer.createTempPath('.conf');
+    const data = RedisServer.formatConf(server.config.conf);
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(confPath, data, { mode: 0o600, flag: 'wx' }, (err) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          server.confPath = confPath;
+
+          resolve(confPath);
+        }
+      });
+    });
+  }
+
+  /**
+   * Delete the temporary configuration file of a given {@linkcode server}, if
+   * any.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {undefined}
+   */
+  static removeConf(server) {
+    if (server.confPath === null) {
+      return;
+    }
+
+    try {
+      fs.unlinkSync(server.confPath);
+    }
+    catch (err) {
+      // istanbul ignore next
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    server.confPath = null;
+  }
+
+  /**
+   * Create a temporary data directory for a given {@linkcode server} if its
+   * {@link RedisServer~Config#dir} is {@linkcode true} and it has none.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static createDir(server) {
+    if (server.config.dir !== true || server.dir !== null) {
+      return Promise.resolve(server.dir);
+    }
+
+    const dir = RedisServer.createTempPath('');
+
+    return new Promise((resolve, reject) => {
+      fs.mkdir(dir, 0o700, (err) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          server.dir = dir;
+
+          resolve(dir);
+        }
+      });
+    });
+  }
+
+  /**
+   * Delete the temporary data directory of a given {@linkcode server}, and
+   * everything in it, unless {@link RedisServer~Config#keepDir} is
+   * {@linkcode true} or the server is restarting or respawning.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {undefined}
+   */
+  static removeDir(server) {
+    if (
+      server.config.dir !== true ||
+      server.config.keepDir === true ||
+      server.isRestarting ||
+      server.isRespawning ||
+      server.dir === null
+    ) {
+      return;
+    }
+
+    RedisServer.removeTree(server.dir);
+
+    server.dir = null;
+  }
+
+  /**
+   * Delete the temporary Unix socket of a given {@linkcode server}, if any.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {undefined}
+   */
+  static removeSocket(server) {
+    if (server.config.socket !== true || server.socket === null) {
+      return;
+    }
+
+    RedisServer.removeTree(server.socket);
+
+    server.socket = null;
+  }
+
+  /**
+   * Delete a given file or directory and everything in it.
+   * @protected
+   * @argument {String} target
+   * @return {undefined}
+   */
+  static removeTree(target) {
+    let stats = null;
+
+    try {
+      stats = fs.lstatSync(target);
+    }
+    catch (err) {
+      // istanbul ignore next
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      for (let name of fs.readdirSync(target)) {
+        RedisServer.removeTree(path.join(target, name));
+      }
+
+      fs.rmdirSync(target);
+    }
+    else {
+      fs.unlinkSync(target);
+    }
+  }
+
+  /**
+   * Parse process flags for Redis from a given {@link RedisServer~Config}.
+   * A configuration file path, if any, comes first so that Redis applies the
+   * flags that follow it as overrides.
+   * @protected
+   * @argument {RedisServer~Config} config
+   * @return {Array.<String>}
+   */
+  static parseFlags(config) {
+    const flags = [];
+
+    if (config.conf != null) {
+      flags.push(config.conf);
+    }
+
+    if (config.port != null) {
+      flags.push(`--port ${config.port === false ? 0 : config.port}`);
+    }
+
+    if (config.replicaof != null) {
+      flags.push(`--replicaof ${config.replicaof}`);
+    }
+
+    if (config.slaveof != null) {
+      flags.push(`--slaveof ${config.slaveof}`);
+    }
+
+    if (typeof config.dir === 'string') {
+      flags.push('--dir', config.dir);
+    }
+
+    if (typeof config.socket === 'string') {
+      flags.push('--unixsocket', config.socket);
+    }
+
+    if (config.socketPerm != null) {
+      flags.push('--unixsocketperm', typeof config.socketPerm === 'number'
+        ? config.socketPerm.toString(8)
+        : config.socketPerm);
+    }
+
+    if (config.config != null) {
+      for (let name of Object.keys(config.config)) {
+        for (let args of config.config[name]) {
+          flags.push(`--${name}`);
+          flags.push.apply(flags, args);
+        }
+      }
+    }
+
+    return flags;
+  }
+
+  /**
+   * Parse Redis server output for terminal messages.
+   * @protected
+   * @argument {String} string
+   * @return {Object}
+   */
+  static parseData(string) {
+    const matches = regExp.terminalMessage.exec(string);
+
+    if (matches === null) {
+      return null;
+    }
+
+    const result = {
+      err: null,
+      key: matches
+        .pop()
+        .replace(regExp.singleWhiteSpace, '')
+        .toLowerCase()
+    };
+
+    switch (result.key) {
+      case 'readytoaccept':
+      case 'sentinelidis':
+        break;
+
+      case 'alreadyinuse':
+        result.err = new Error('Address already in use');
+        result.err.code = -1;
+
+        break;
+
+      case 'denied':
+        result.err = new Error('Permission denied');
+        result.err.code = -2;
+
+        break;
+
+      case 'notlisten':
+        result.err = new Error('Invalid port number');
+        result.err.code = -3;
+
+        break;
+
+      case 'unixsocket:': {
+        const reason = regExp.unixSocketError
+          .exec(string)
+          .pop()
+          .trim();
+        const cause = RedisServer.parseData(reason);
+
+        result.err = new Error(`Failed opening Unix socket: ${reason}`);
+        result.err.code = cause === null ? -3 : cause.err.code;
+
+        break;
+      }
+
+      case 'can\'t':
+      case 'error': {
+        // Fall back to the whole line when it is not a "# <message>" one.
+        const messageMatches = regExp.errorMessage.exec(string);
+        const message = messageMatches === null
+          ? string.trim()
+          : messageMatches.pop();
+
+        result.err = new Error(
+          message.replace(regExp.multipleWhiteSpace, ' ')
+        );
+        result.err.code = -3;
+
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse Redis server output for the port and Unix socket it listens on.
+   * @protected
+   * @argument {String} string
+   * @return {Object}
+   */
+  static parseAddress(string) {
+    const address = {};
+    const portMatches = regExp.port.exec(string);
+    const socketMatches = regExp.socket.exec(string);
+
+    if (portMatches !== null) {
+      address.port = Number(portMatches[1]);
+    }
+
+    if (socketMatches !== null) {
+      address.socket = socketMatches[1];
+    }
+
+    return address;
+  }
+
+  /**
+   * Parse the reply to an {@linkcode INFO} command (or a similar command
+   * such as {@linkcode CLUSTER INFO}) into an object of values by field
+   * name. Section headers are ignored.
+   * @protected
+   * @argument {String} string
+   * @return {Object.<String, String>}
+   */
+  static parseInfo(string) {
+    const info = {};
+
+    for (let line of string.split(regExp.lineBreak)) {
+      const matches = regExp.infoLine.exec(line);
+
+      if (matches !== null) {
+        info[matches[1]] = matches[2];
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Parse a line of Redis server output in the Redis log format (i.e.
+   * "pid:role timestamp level message").
+   * @protected
+   * @argument {String} line
+   * @argument {String} source
+   * @return {RedisServer~LogEntry}
+   */
+  static parseLog(line, source) {
+    const matches = regExp.logLine.exec(line);
+    const entry = {
+      source,
+      line,
+      pid: null,
+      role: null,
+      time: null,
+      level: null,
+      message: line
+    };
+
+    if (matches === null) {
+      return entry;
+    }
+
+    const year = matches[5] === undefined
+      ? new Date().getFullYear()
+      : Number(matches[5]);
+
+    entry.pid = Number(matches[1]);
+    entry.role = logRoles[matches[2].toUpperCase()];
+    entry.time = new Date(
+      year,
+      months.indexOf(matches[4].toLowerCase()) / 3,
+      Number(matches[3]),
+      Number(matches[6]),
+      Number(matches[7]),
+      Number(matches[8]),
+      Number(matches[9] || 0)
+    );
+    entry.level = logLevels[matches[10]];
+    entry.message = matches[11];
+
+    return entry;
+  }
+
+  /**
+   * Find the arguments of the last occurrence of a directive named
+   * {@linkcode name} in a given {@link RedisServer~Config}, preferring
+   * {@link RedisServer~Config#config} over {@link RedisServer~Config#conf}.
+   * @protected
+   * @argument {RedisServer~Config} config
+   * @argument {String} name
+   * @return {Array.<String>}
+   */
+  static findDirective(config, name) {
+    const sources = [config.config, config.conf];
+
+    for (let directives of sources) {
+      if (
+        directives != null &&
+        typeof directives === 'object' &&
+        directives[name] != null
+      ) {
+        return directives[name][directives[name].length - 1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a {@link RedisServer~Connection} for a given {@linkcode server}
+   * from its configuration and the address its Redis server reported.
+   * @protected
+   * @see RedisServer.parseAddress
+   * @argument {RedisServer} server
+   * @argument {Object} address
+   * @return {RedisServer~Connection}
+   */
+  static createConnection(server, address) {
+    // Flags override the directives of a configuration file path, if any.
+    const config = typeof server.config.conf === 'string'
+      ? Object.assign({}, server.config, {
+        conf: RedisServer.readConf(server.config.conf)
+      })
+      : server.config;
+    const bind = RedisServer.findDirective(config, 'bind');
+    const unixsocket = RedisServer.findDirective(config, 'unixsocket');
+    const requirepass = RedisServer.findDirective(config, 'requirepass');
+    const connection = {
+      host: null,
+      port: server.port,
+      socket: server.socket,
+      password: requirepass === null || requirepass[0] === ''
+        ? null
+        : requirepass[0],
+      url: null
+    };
+
+    if (connection.socket === null) {
+      connection.socket = unixsocket === null
+        ? address.socket || null
+        : unixsocket[0];
+    }
+
+    if (connection.port === null) {
+      return connection;
+    }
+
+    connection.host = bind === null
+      ? '127.0.0.1'
+      : bind[0].replace(regExp.optionalBind, '');
+
+    if (regExp.wildcardHost.test(connection.host)) {
+      connection.host = '127.0.0.1';
+    }
+    else if (regExp.wildcardIPv6Host.test(connection.host)) {
+      connection.host = '::1';
+    }
+
+    const auth = connection.password === null
+      ? ''
+      : `:${encodeURIComponent(connection.password)}@`;
+    const host = connection.host.indexOf(':') === -1
+      ? connection.host
+      : `[${connection.host}]`;
+
+    connection.url = `redis://${auth}${host}:${connection.port}`;
+
+    return connection;
+  }
+
+  /**
+   * Create an error for a Redis server process that exited before its Redis
+   * server became ready.
+   * @protected
+   * @argument {Number} code
+   * @argument {String} signal
+   * @argument {Array.<String>} output
+   * The last lines the process printed to stdout and stderr.
+   * @return {Error}
+   */
+  static createExitError(code, signal, output) {
+    const reason = signal === null
+      ? `exited with code ${code}`
+      : `was killed with signal ${signal}`;
+    const err = new Error(
+      [`Redis server ${reason} before it was ready`].concat(output).join('\n')
+    );
+
+    err.code = -4;
+    err.exitCode = code;
+    err.signal = signal;
+    err.output = output.slice();
+
+    return err;
+  }
+
+  /**
+   * Create an error for a Redis server binary that cannot be spawned.
+   * @protected
+   * @argument {String} bin
+   * @argument {Error} cause
+   * @return {Error}
+   */
+  static createBinError(bin, cause) {
+    let message = null;
+
+    switch (cause.code) {
+      case 'ENOENT':
+        message = `Redis server binary not found: ${bin}`;
+
+        break;
+
+      case 'EACCES':
+        message = `Redis server binary not executable: ${bin}`;
+
+        break;
+
+      default:
+        message = `Redis server binary failed to spawn: ${bin}: ${
+          cause.message
+        }`;
+
+        break;
+    }
+
+    const err = new Error(message);
+
+    err.code = -5;
+    err.cause = cause;
+
+    return err;
+  }
+
+  /**
+   * Find the path of a Redis server binary {@linkcode bin} the way a shell
+   * would; in $PATH unless it contains a path separator.
+   * @argument {String} bin
+   * @return {Promise}
+   */
+  static resolveBin(bin) {
+    /**
+     * Resolve with a given {@linkcode file} if it is an executable file;
+     * otherwise, reject with the reason.
+     * @argument {String} file
+     * @return {Promise}
+     */
+    const check = (file) => new Promise((resolve, reject) => {
+      fs.stat(file, (err, stats) => {
+        if (err) {
+          return reject(err);
+        }
+
+        if (!stats.isFile()) {
+          err = new Error(`Not a file: ${file}`);
+          err.code = 'EACCES';
+
+          return reject(err);
+        }
+
+        fs.access(file, fs.X_OK, (err) => err ? reject(err) : resolve(file));
+      });
+    });
+
+    if (bin.indexOf('/') !== -1 || bin.indexOf(path.sep) !== -1) {
+      return check(path.resolve(bin))
+        .catch((err) => Promise.reject(RedisServer.createBinError(bin, err)));
+    }
+
+    const dirs = (process.env.PATH || '')
+      .split(path.delimiter)
+      .filter((dir) => dir !== '');
+    let cause = null;
+
+    /**
+     * Check the directory at {@linkcode index} in $PATH and those after it
+     * until an executable file is found.
+     * @argument {Number} index
+     * @return {Promise}
+     */
+    const find = (index) => {
+      if (index >= dirs.length) {
+        if (cause === null) {
+          cause = new Error(`Not found in $PATH: ${bin}`);
+          cause.code = 'ENOENT';
+        }
+
+        return Promise.reject(RedisServer.createBinError(bin, cause));
+      }
+
+      return check(path.resolve(dirs[index], bin)).catch((err) => {
+        // Report a file that is not executable over one that is not found.
+        if (err.code !== 'ENOENT' && cause === null) {
+          cause = err;
+        }
+
+        return find(index + 1);
+      });
+    };
+
+    return find(0);
+  }
+
+  /**
+   * Parse the output of {@linkcode redis-server --version}.
+   * @protected
+   * @argument {String} string
+   * @return {RedisServer~Version}
+   * {@linkcode null} when no version number is found.
+   */
+  static parseVersion(string) {
+    const matches = regExp.version.exec(string);
+
+    if (matches === null) {
+      return null;
+    }
+
+    const sha = regExp.versionSha.exec(string);
+    const malloc = regExp.versionMalloc.exec(string);
+    const bits = regExp.versionBits.exec(string);
+
+    return {
+      version: `${matches[1]}.${matches[2]}.${matches[3]}`,
+      major: Number(matches[1]),
+      minor: Number(matches[2]),
+      patch: Number(matches[3]),
+      sha: sha === null ? null : sha[1],
+      malloc: malloc === null ? null : malloc[1],
+      bits: bits === null ? null : Number(bits[1])
+    };
+  }
+
+  /**
+   * Get build information of a Redis server binary {@linkcode bin} by running
+   * it with {@linkcode --version}. The result is cached per binary and
+   * backend.
+   * @argument {String} bin
+   * @argument {RedisServer~Backend} [backend]
+   * A way to run the binary; a local one by default.
+   * @argument {Number} [timeout]
+   * Milliseconds to wait for the binary to report its version before killing
+   * it.
+   * @return {Promise}
+   */
+  static version(bin, backend, timeout) {
+    if (backend == null) {
+      backend = localBackend;
+    }
+
+    if (!versionCache.has(backend)) {
+      versionCache.set(backend, Object.create(null));
+    }
+
+    const cache = versionCache.get(backend);
+
+    if (cache[bin] != null) {
+      return cache[bin];
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const child = backend.spawn(bin, ['--version'], { config: {} });
+      let stdout = '';
+      let spawnError = null;
+      let timer = null;
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          const err = new Error(
+            `Redis server binary did not report a version within ${
+              timeout
+            }ms: ${bin}`
+          );
+
+          err.code = -6;
+
+          reject(err);
+          child.kill('SIGKILL');
+        }, timeout);
+      }
+
+      child.stdout.on('data', (data) => {
+        stdout += data;
+      });
+      child.once('error', (err) => {
+        spawnError = err;
+      });
+      child.on('close', () => {
+        clearTimeout(timer);
+
+        if (spawnError !== null) {
+          return reject(RedisServer.createBinError(
+            spawnError.path || bin,
+            spawnError
+          ));
+        }
+
+        const version = RedisServer.parseVersion(stdout);
+
+        if (version === null) {
+          const err = new Error(
+            `Redis server binary reported no version: ${bin}`
+          );
+
+          err.code = -3;
+
+          return reject(err);
+        }
+
+        resolve(version);
+      });
+    });
+
+    cache[bin] = promise;
+
+    // Look again next time in case the binary is installed or fixed.
+    promise.catch(() => {
+      if (cache[bin] === promise) {
+        delete cache[bin];
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Compare two version numbers of the form {@linkcode 'x.y.z'}.
+   * @protected
+   * @argument {String} a
+   * @argument {String} b
+   * @return {Number}
+   * Less than, equal to, or greater than {@linkcode 0} when {@linkcode a} is
+   * older than, the same as, or newer than {@linkcode b}.
+   */
+  static compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+
+    for (let i = 0; i < 3; ++i) {
+      if (partsA[i] !== partsB[i]) {
+        return partsA[i] - partsB[i];
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Determine if a given {@link RedisServer~Version} supports a directive or
+   * command by {@linkcode name}. Those not known to be new are assumed to be
+   * supported.
+   * @protected
+   * @argument {RedisServer~Version} version
+   * @argument {String} name
+   * @return {Boolean}
+   */
+  static isSupported(version, name) {
+    return featureVersions[name] === undefined ||
+      RedisServer.compareVersions(version.version, featureVersions[name]) >= 0;
+  }
+
+  /**
+   * Find the options and directives of a given {@link RedisServer~Config}
+   * that a given {@link RedisServer~Version} does not support.
+   * @protected
+   * @argument {RedisServer~Config} config
+   * @argument {RedisServer~Version} version
+   * @return {Array.<String>}
+   * A description of each, with the version that introduced it.
+   */
+  static findUnsupported(config, version) {
+    const unsupported = [];
+
+    if (
+      config.replicaof != null &&
+      !RedisServer.isSupported(version, 'replicaof')
+    ) {
+      unsupported.push(
+        `RedisServer~Config#replicaof (Redis ${featureVersions.replicaof}; ` +
+          'use RedisServer~Config#slaveof)'
+      );
+    }
+
+    for (let directives of [config.conf, config.config]) {
+      if (directives == null || typeof directives !== 'object') {
+        continue;
+      }
+
+      for (let name of Object.keys(directives)) {
+        if (!RedisServer.isSupported(version, name)) {
+          unsupported.push(`"${name}" (Redis ${featureVersions[name]})`);
+        }
+      }
+    }
+
+    return unsupported;
+  }
+
+  /**
+   * Detect the version of the Redis server binary of a given
+   * {@linkcode server} and check that it is in
+   * {@link RedisServer~Config#version}, if any, and supports the
+   * configuration. A binary that does not report a version is left for
+   * spawning to judge, unless it does not exit within
+   * {@link RedisServer~Config#openTimeout}.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static checkVersion(server) {
+    return RedisServer
+      .version(
+        server.bin,
+        RedisServer.getBackend(server),
+        server.config.openTimeout
+      )
+      .catch((err) => {
+        // Spawning would hang like the binary did.
+        if (err.code === -6) {
+          throw err;
+        }
+
+        return null;
+      })
+      .then((version) => {
+        server.version = version;
+
+        if (version === null) {
+          return null;
+        }
+
+        if (
+          server.config.version != null &&
+          !RedisServer.satisfiesVersion(
+            version.version,
+            RedisServer.parseVersionRange(server.config.version)
+          )
+        ) {
+          const err = new Error(
+            `Redis ${version.version} does not satisfy "${
+              server.config.version
+            }"`
+          );
+
+          err.code = -9;
+
+          throw err;
+        }
+
+        const unsupported = RedisServer.findUnsupported(server.config, version);
+
+        if (unsupported.length !== 0) {
+          const err = new Error(
+            `Redis ${version.version} does not support ${
+              unsupported.join(', ')
+            }`
+          );
+
+          err.code = -9;
+
+          throw err;
+        }
+
+        return version;
+      });
+  }
+
+  /**
+   * Parse a range of versions like those of npm (e.g. {@linkcode '>=6.2 <8'},
+   * {@linkcode '^7.0.0'}, {@linkcode '~6.2'}, {@linkcode '7.x'}, or
+   * {@linkcode '6 || 7'}) into sets of comparators of which one set must be
+   * satisfied.
+   * @protected
+   * @argument {String} range
+   * @return {Array.<Array.<Object>>}
+   * Sets of {@linkcode operator} and {@linkcode version} pairs.
+   * @throws {TypeError}
+   */
+  static parseVersionRange(range) {
+    if (typeof range !== 'string') {
+      throw new TypeError('A version range must be a string');
+    }
+
+    /**
+     * Get a version number from parts that default to zero.
+     * @argument {Number} major
+     * @argument {Number} minor
+     * @argument {Number} patch
+     * @return {String}
+     */
+    const format = (major, minor, patch) =>
+      `${major}.${minor || 0}.${patch || 0}`;
+
+    return range.split('||').map((set) => set
+      .trim()
+      .replace(regExp.versionOperator, '$1')
+      .split(/\s+/)
+      .filter((comparator) => comparator !== '')
+      .reduce((comparators, comparator) => {
+        const matches = regExp.versionComparator.exec(comparator);
+
+        if (matches === null) {
+          throw new TypeError(`Invalid version range "${range}"`);
+        }
+
+        const operator = matches[1] || '=';
+        const parts = matches.slice(2, 5).map((part) =>
+          part === undefined || regExp.versionWildcard.test(part)
+            ? null
+            : Number(part));
+        const major = parts[0];
+        const minor = major === null ? null : parts[1];
+        const patch = minor === null ? null : parts[2];
+
+        if (major === null) {
+          return operator === '<' || operator === '>'
+            ? comparators.concat({ operator: '<', version: '0.0.0' })
+            : comparators;
+        }
+
+        const version = format(major, minor, patch);
+        let next = null;
+
+        if (minor === null) {
+          next = format(major + 1);
+        }
+        else if (patch === null) {
+          next = format(major, minor + 1);
+        }
+
+        switch (operator) {
+          case '^': {
+            let upper = format(0, 0, patch + 1);
+
+            if (major > 0 || minor === null) {
+              upper = format(major + 1);
+            }
+            else if (minor > 0 || patch === null) {
+              upper = format(0, minor + 1);
+            }
+
+            return comparators.concat(
+              { operator: '>=', version },
+              { operator: '<', version: upper }
+            );
+          }
+
+          case '~':
+            return comparators.concat(
+              { operator: '>=', version },
+              {
+                operator: '<',
+                version: minor === null
+                  ? format(major + 1)
+                  : format(major, minor + 1)
+              }
+            );
+
+          case '>':
+            return comparators.concat(next === null
+              ? { operator, version }
+              : { operator: '>=', version: next });
+
+          case '<=':
+            return comparators.concat(next === null
+              ? { operator, version }
+              : { operator: '<', version: next });
+
+          case '=':
+            return comparators.concat(next === null
+              ? { operator, version }
+              : [{ operator: '>=', version }, { operator: '<', version: next }]);
+
+          default:
+            return comparators.concat({ operator, version });
+        }
+      }, []));
+  }
+
+  /**
+   * Determine if a given {@linkcode version} number satisfies a range
+   * parsed by {@link RedisServer.parseVersionRange}.
+   * @protected
+   * @argument {String} version
+   * @argument {Array.<Array.<Object>>} range
+   * @return {Boolean}
+   */
+  static satisfiesVersion(version, range) {
+    return range.some((set) => set.every((comparator) => {
+      const result = RedisServer.compareVersions(version, comparator.version);
+
+      switch (comparator.operator) {
+        case '<':
+          return result < 0;
+
+        case '<=':
+          return result <= 0;
+
+        case '>':
+          return result > 0;
+
+        case '>=':
+          return result >= 0;
+
+        default:
+          return result === 0;
+      }
+    }));
+  }
+
+  /**
+   * Find the directories that match a given absolute {@linkcode pattern} in
+   * which a {@linkcode *} matches any part of a path segment.
+   * @protected
+   * @argument {String} pattern
+   * @return {Promise}
+   */
+  static expandPath(pattern) {
+    return pattern
+      .split('/')
+      .filter((segment) => segment !== '')
+      .reduce((promise, segment) => promise.then((dirs) => {
+        if (segment.indexOf('*') === -1) {
+          return dirs.map((dir) => path.join(dir, segment));
+        }
+
+        const matcher = new RegExp(`^${segment
+          .split('*')
+          .map((part) => part.replace(regExp.regExpCharacters, '\\$&'))
+          .join('.*')}$`);
+
+        return Promise.all(dirs.map((dir) => new Promise((resolve) => {
+          fs.readdir(dir, (err, names) => resolve(err ? [] : names
+            .filter((name) => matcher.test(name))
+            .sort()
+            .map((name) => path.join(dir, name))));
+        }))).then((lists) => [].concat.apply([], lists));
+      }), Promise.resolve([path.sep]));
+  }
+
+  /**
+   * Find executable Redis server binaries named like a given
+   * {@linkcode bin}; {@linkcode bin} itself, those listed in
+   * $REDIS_SERVER_BIN, those in $PATH, and those in common install prefixes,
+   * in that order.
+   * @argument {String} bin
+   * @return {Promise}
+   */
+  static findBins(bin) {
+    const name = path.basename(bin);
+    const listed = (process.env.REDIS_SERVER_BIN || '')
+      .split(path.delimiter)
+      .filter((entry) => entry !== '')
+      .map((entry) => new Promise((resolve) => {
+        fs.stat(entry, (err, stats) => resolve(
+          !err && stats.isDirectory() ? path.join(entry, name) : entry
+        ));
+      }));
+    const inPath = (process.env.PATH || '')
+      .split(path.delimiter)
+      .filter((dir) => dir !== '')
+      .map((dir) => path.resolve(dir, name));
+    const prefixes = binPrefixes.map((prefix) => RedisServer
+      .expandPath(prefix)
+      .then((dirs) => dirs.map((dir) => path.join(dir, name))));
+
+    return Promise
+      .all([RedisServer.resolveBin(bin).catch(() => null)]
+        .concat(listed, inPath, prefixes))
+      .then((candidates) => Promise.all([]
+        .concat.apply([], candidates)
+        .filter((candidate) => candidate !== null)
+        .map((candidate) => RedisServer
+          .resolveBin(path.resolve(candidate))
+          .catch(() => null))))
+      .then((files) => files.filter((file, index) =>
+        file !== null && files.indexOf(file) === index));
+  }
+
+  /**
+   * Select the first binary found by {@link RedisServer.findBins} of which
+   * the version is in a given {@linkcode range}.
+   * @argument {String} bin
+   * @argument {String} range
+   * @argument {Number} [timeout]
+   * Milliseconds to wait for each binary to report its version.
+   * @return {Promise}
+   */
+  static selectBin(bin, range, timeout) {
+    let parsedRange = null;
+
+    try {
+      parsedRange = RedisServer.parseVersionRange(range);
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    return RedisServer.findBins(bin).then((files) => Promise
+      .all(files.map((file) => RedisServer
+        .version(file, null, timeout)
+        .catch(() => null)))
+      .then((versions) => {
+        for (let i = 0; i < files.length; ++i) {
+          if (
+            versions[i] !== null &&
+            RedisServer.satisfiesVersion(versions[i].version, parsedRange)
+          ) {
+            return files[i];
+          }
+        }
+
+        const considered = files.map((file, i) => `${file} (${
+          versions[i] === null ? 'unknown version' : versions[i].version
+        })`);
+        const err = new Error(
+          `No Redis server binary satisfies "${range}"; ${
+            considered.length === 0
+              ? `none named ${path.basename(bin)} were found`
+              : `considered ${considered.join(', ')}`
+          }`
+        );
+
+        err.code = -9;
+        err.candidates = files.map((file, i) => ({
+          bin: file,
+          version: versions[i]
+        }));
+
+        throw err;
+      }));
+  }
+
+  /**
+   * Determine if a given {@linkcode port} asks for a free port to be chosen.
+   * @protected
+   * @argument {(Number|String)} port
+   * @return {Boolean}
+   */
+  static isAutoPort(port) {
+    return port === 0 || port === '0' || port === 'auto';
+  }
+
+  /**
+   * Find a TCP port that is free to bind to.
+   * @protected
+   * @return {Promise}
+   */
+  static findPort() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createServer();
+
+      socket.unref();
+      socket.once('error', reject);
+      socket.listen(0, () => {
+        const port = socket.address().port;
+
+        socket.close(() => resolve(port));
+      });
+    });
+  }
+
+  /**
+   * Get the {@link RedisServer~Backend} of a given {@linkcode server}.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {RedisServer~Backend}
+   */
+  static getBackend(server) {
+    return server.config.backend == null
+      ? localBackend
+      : server.config.backend;
+  }
+
+  /**
+   * Create a {@link RedisServer~Backend} that runs Redis server binaries of
+   * this machine through a given {@linkcode command} (e.g.
+   * {@linkcode 'nice -n 10'} or {@linkcode ['taskset', '-c', '0']}).
+   * @argument {(String|Array.<String>)} command
+   * A string of arguments split as {@linkcode redis-cli} would or an array of
+   * literal arguments.
+   * @return {RedisServer~Backend}
+   * @throws {TypeError}
+   */
+  static createWrapperBackend(command) {
+    const args = typeof command === 'string'
+      ? RedisServer.parseArguments(command)
+      : [].concat(command).map((arg) => String(arg));
+
+    if (args.length === 0) {
+      throw new TypeError('A wrapper backend needs a command');
+    }
+
+    return {
+      name: 'wrapper',
+      local: true,
+
+      /**
+       * Spawn a Redis server binary as an argument of the command.
+       * @argument {String} bin
+       * @argument {Array.<String>} binArgs
+       * @argument {RedisServer~SpawnOptions} spawnOptions
+       * @return {ChildProcess}
+       */
+      spawn(bin, binArgs, spawnOptions) {
+        return childprocess.spawn(
+          args[0],
+          args.slice(1).concat(bin, binArgs),
+          { detached: spawnOptions.detached }
+        );
+      }
+    };
+  }
+
+  /**
+   * Create a {@link RedisServer~Backend} that runs Redis servers in Docker
+   * containers of the {@linkcode redis} image (e.g. {@linkcode redis:7.2}).
+   * The working directory, data directory, Unix socket directory, and
+   * configuration file directory are mounted at the same paths and the
+   * container runs as the current user.
+   * @argument {RedisServer~DockerOptions} [options]
+   * @return {RedisServer~Backend}
+   */
+  static createDockerBackend(options) {
+    options = Object.assign({
+      image: 'redis',
+      tag: 'latest',
+      command: 'docker',
+      network: 'host',
+      args: []
+    }, options);
+
+    return {
+      name: 'docker',
+      local: false,
+
+      /**
+       * Run a Redis server binary in a new container that is removed once
+       * it exits.
+       * @argument {String} bin
+       * @argument {Array.<String>} binArgs
+       * @argument {RedisServer~SpawnOptions} spawnOptions
+       * @return {ChildProcess}
+       */
+      spawn(bin, binArgs, spawnOptions) {
+        const config = spawnOptions.config;
+        const name = path.basename(RedisServer.createTempPath(''));
+        const cwd = process.cwd();
+        const dirs = [cwd];
+        const args = ['run', '--rm', '-i', '--name', name];
+
+        for (let file of [config.conf, config.socket]) {
+          if (typeof file === 'string') {
+            dirs.push(path.dirname(path.resolve(file)));
+          }
+        }
+
+        if (typeof config.dir === 'string') {
+          dirs.push(path.resolve(config.dir));
+        }
+
+        args.push('--network', options.network);
+
+        if (options.network !== 'host' && Number(config.port) > 0) {
+          args.push('--publish', `${config.port}:${config.port}`);
+        }
+
+        if (typeof process.getuid === 'function') {
+          args.push('--user', `${process.getuid()}:${process.getgid()}`);
+        }
+
+        dirs
+          .filter((dir, index) => dirs.indexOf(dir) === index)
+          .forEach((dir) => args.push('--volume', `${dir}:${dir}`));
+
+        const child = childprocess.spawn(options.command, args.concat(
+          '--workdir',
+          cwd,
+          options.args,
+          `${options.image}:${options.tag}`,
+          path.basename(bin),
+          binArgs
+        ), { detached: spawnOptions.detached });
+        const kill = child.kill.bind(child);
+
+        // Signals are sent to the container; the Docker CLI only forwards
+        // those it can catch.
+        child.kill = (signal) => {
+          const killer = childprocess.spawn(
+            options.command,
+            ['kill', '--signal', signal || 'SIGTERM', name],
+            { stdio: 'ignore' }
+          );
+
+          killer.on('error', () => kill(signal));
+          killer.on('close', (code) => {
+            if (code !== 0) {
+              kill(signal);
+            }
+          });
+
+          return true;
+        };
+
+        return child;
+      }
+    };
+  }
+
+  /**
+   * Create the temporary files of a given {@linkcode server}, spawn a process
+   * for it, and wait for the contained Redis server to either start or err.
+   * When a free port is to be chosen and another process takes it first, try
+   * again with another port up to {@linkcode attempts} times.
+   * @protected
+   * @fires RedisServer#stdout
+   * @fires RedisServer#stderr
+   * @fires RedisServer#log
+   * @fires RedisServer#opening
+   * @fires RedisServer#open
+   * @fires RedisServer#closing
+   * @fires RedisServer#close
+   * @argument {RedisServer} server
+   * @argument {Number} attempts
+   * @return {Promise}
+   */
+  static spawn(server, attempts) {
+    const isAutoPort = RedisServer.isAutoPort(server.config.port);
+
+    // Those of a failed attempt are removed once its process closes. Each
+    // process gets a new configuration file that a subclass may generate.
+    return RedisServer
+      .createDir(server)
+      .then(() => server.constructor.writeConf(server))
+      .then(() => isAutoPort ? RedisServer.findPort() : server.config.port)
+      .then((port) => new Promise((resolve, reject) => {
+        /**
+         * A listener for lines of the current server process' stdout that
+         * resolves or rejects the current {@link Promise} when done.
+         * @see RedisServer.parseData
+         * @argument {String} line
+         * @return {undefined}
+         */
+        const lineListener = (line) => {
+          const result = RedisServer.parseData(line);
+
+          Object.assign(address, RedisServer.parseAddress(line));
+
+          if (result === null) {
+            return;
+          }
+
+          if (result.err !== null) {
+            return fail(result.err, null);
+          }
+
+          stdout.removeListener('line', lineListener);
+
+          if (address.port === undefined) {
+            address.port = port == null || port === false ? 0 : Number(port);
+          }
+
+          server.port = address.port || null;
+          server.connection = RedisServer.createConnection(server, address);
+
+          RedisServer
+            .ping(server)
+            .then(() => {
+              if (isSettled || server.config.detached !== true) {
+                return null;
+              }
+
+              return RedisServer.writePidfile(server);
+            })
+            .then(() => {
+              if (isSettled) {
+                return;
+              }
+
+              clearTimeout(openTimer);
+
+              isSettled = true;
+
+              if (server.config.detached === true) {
+                RedisServer.unref(server);
+              }
+
+              RedisServer.setState(server, 'running');
+              server.emit('open');
+              resolve(server.connection);
+            }, (err) => {
+              if (!isSettled) {
+                fail(err, 'SIGKILL');
+              }
+            });
+        };
+
+        /**
+         * Stop waiting for the Redis server to start and reject the current
+         * {@link Promise} with a given {@linkcode err} once the current
+         * process closes, killing it with a given {@linkcode signal}, if any.
+         * @argument {Error} err
+         * @argument {String} signal
+         * @return {undefined}
+         */
+        const fail = (err, signal) => {
+          stdout.removeListener('line', lineListener);
+          clearTimeout(openTimer);
+
+          isSettled = true;
+
+          RedisServer.setState(server, 'stopping');
+          server.emit('closing');
+          server.process.once('close', () => reject(err));
+
+          if (signal !== null) {
+            server.process.kill(signal);
+          }
+        };
+
+        /**
+         * A listener to close the server when the current process exits.
+         * @return {undefined}
+         */
+        const exitListener = () => {
+          // istanbul ignore next
+          server.close();
+          // istanbul ignore next
+          RedisServer.removeConf(server);
+          // istanbul ignore next
+          RedisServer.removeDir(server);
+          // istanbul ignore next
+          RedisServer.removeSocket(server);
+        };
+        /**
+         * A listener for lines of the current server process' stdout and
+         * stderr that keeps the last few for error reporting.
+         * @argument {String} line
+         * @return {undefined}
+         */
+        const outputListener = (line) => {
+          output.push(line);
+
+          if (output.length > outputTailLength) {
+            output.shift();
+          }
+        };
+        const address = {};
+        const output = [];
+        let isSettled = false;
+        let spawnError = null;
+        let openTimer = null;
+
+        if (server.config.socket === true && server.socket === null) {
+          server.socket = RedisServer.createTempPath('.sock');
+        }
+
+        const config = Object.assign({}, server.config, {
+          port,
+          dir: server.dir,
+          socket: server.socket
+        });
+
+        if (server.confPath !== null) {
+          config.conf = server.confPath;
+        }
+
+        server.emit('opening');
+
+        server.process = RedisServer.getBackend(server).spawn(
+          server.bin,
+          RedisServer.parseFlags(config),
+          { config, detached: server.config.detached === true }
+        );
+
+        const stdout = readline.createInterface({
+          input: server.process.stdout,
+          terminal: false
+        });
+        const stderr = readline.createInterface({
+          input: server.process.stderr,
+          terminal: false
+        });
+
+        stdout.on('line', (line) => {
+          server.emit('log', RedisServer.parseLog(line, 'stdout'));
+        });
+        stderr.on('line', (line) => {
+          server.emit('log', RedisServer.parseLog(line, 'stderr'));
+        });
+        stdout.on('line', outputListener);
+        stderr.on('line', outputListener);
+        stdout.on('line', lineListener);
+
+        if (server.config.openTimeout > 0) {
+          openTimer = setTimeout(() => {
+            const err = new Error(`Redis server was not ready within ${
+              server.config.openTimeout
+            }ms`);
+
+            err.code = -6;
+
+            fail(err, 'SIGKILL');
+          }, server.config.openTimeout);
+        }
+
+        server.process.once('error', (err) => {
+          spawnError = RedisServer.createBinError(err.path || server.bin, err);
+        });
+        server.process.on('close', (code, signal) => {
+          const crashed = server.state === 'running';
+          const respawn = crashed &&
+            server.config.supervise === true &&
+            server.respawnCount < server.config.maxRespawns;
+
+          if (respawn) {
+            // Keep a temporary data directory for the next process.
+            server.isRespawning = true;
+          }
+
+          RedisServer.removePidfile(server);
+          RedisServer.removeConf(server);
+          RedisServer.removeDir(server);
+          RedisServer.removeSocket(server);
+
+          RedisServer.disconnect(server);
+
+          server.process = null;
+          server.port = null;
+          server.connection = null;
+
+          RedisServer.setState(server, server.state === 'stopping' &&
+            server.previousState === 'running' ? 'stopped' : 'failed');
+          process.removeListener('exit', exitListener);
+          server.emit('exit', { code, signal, crashed, respawn });
+          server.emit('close');
+
+          if (respawn) {
+            RedisServer.respawn(server);
+          }
+
+          if (!isSettled) {
+            isSettled = true;
+
+            clearTimeout(openTimer);
+            reject(spawnError === null
+              ? RedisServer.createExitError(code, signal, output)
+              : spawnError);
+          }
+        });
+        server.process.stdout.on('data', (data) => {
+          server.emit('stdout', data.toString());
+        });
+        server.process.stderr.on('data', (data) => {
+          server.emit('stderr', data.toString());
+        });
+        if (server.config.detached !== true) {
+          process.on('exit', exitListener);
+        }
+      }))
+      .catch((err) => {
+        if (!isAutoPort || err.code !== -1 || attempts <= 1) {
+          throw err;
+        }
+
+        RedisServer.setState(server, 'starting');
+
+        return RedisServer.spawn(server, attempts - 1);
+      });
+  }
+
+  /**
+   * Let this process exit while the detached process of a given
+   * {@linkcode server} keeps running.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {undefined}
+   */
+  static unref(server) {
+    const child = server.process;
+
+    for (let target of [child, child.stdout, child.stderr]) {
+      if (target != null && typeof target.unref === 'function') {
+        target.unref();
+      }
+    }
+  }
+
+  /**
+   * Determine if the last operation queued for a given {@linkcode server} is
+   * a given {@linkcode operation} that is yet to complete.
+   * @protected
+   * @argument {RedisServer} server
+   * @argument {String} operation
+   * @return {Boolean}
+   */
+  static isPending(server, operation) {
+    const queue = server.promiseQueue;
+
+    return server.lastOperation === operation &&
+      queue.getPendingLength() + queue.getQueueLength() > 0;
+  }
+
+  /**
+   * Change the lifecycle state of a given {@linkcode server}.
+   * @protected
+   * @fires RedisServer#stateChange
+   * @argument {RedisServer} server
+   * @argument {String} state
+   * @return {undefined}
+   * @throws {Error}
+   */
+  static setState(server, state) {
+    const previous = server.state;
+
+    if (stateTransitions[previous].indexOf(state) === -1) {
+      const err = new Error(
+        `Invalid state transition from "${previous}" to "${state}"`
+      );
+
+      err.code = -3;
+
+      throw err;
+    }
+
+    server.previousState = previous;
+    server.state = state;
+
+    server.emit('stateChange', { previous, next: state });
+  }
+
+  /**
+   * Start a given {@linkcode server} after it crashed, waiting longer each
+   * time, until it opens or {@link RedisServer~Config#maxRespawns} is
+   * reached. Once it opens, the count of respawns starts over.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {undefined}
+   */
+  static respawn(server) {
+    const delay = server.config.respawnDelay * Math.pow(2, server.respawnCount);
+
+    server.respawnCount += 1;
+    server.respawnTimer = setTimeout(() => {
+      server.respawnTimer = null;
+
+      RedisServer.open(server).then(() => {
+        server.isRespawning = false;
+        server.respawnCount = 0;
+      }, () => {
+        if (!server.isRespawning) {
+          return;
+        }
+
+        if (server.respawnCount < server.config.maxRespawns) {
+          return RedisServer.respawn(server);
+        }
+
+        server.isRespawning = false;
+
+        RedisServer.removeDir(server);
+      });
+    }, delay);
+  }
+
+  /**
+   * Stop respawning a given {@linkcode server}, if it is.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {undefined}
+   */
+  static cancelRespawn(server) {
+    if (!server.isRespawning) {
+      return;
+    }
+
+    clearTimeout(server.respawnTimer);
+
+    server.respawnTimer = null;
+    server.isRespawning = false;
+
+    if (!server.isRunning) {
+      RedisServer.removeDir(server);
+    }
+  }
+
+  /**
+   * Start a Redis server for a given {@linkcode server} without waiting for
+   * other operations to complete.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static start(server) {
+    const isLocal = RedisServer.getBackend(server).local === true;
+    let binPromise = Promise.resolve(server.config.bin);
+
+    if (server.config.version != null && isLocal) {
+      binPromise = RedisServer.selectBin(
+        server.config.bin,
+        server.config.version,
+        server.config.openTimeout
+      );
+    }
+    else if (server.config.checkBin === true && isLocal) {
+      binPromise = RedisServer
+        .resolveBin(server.config.bin)
+        .then(() => server.config.bin);
+    }
+
+    return binPromise
+      .then((bin) => {
+        server.bin = bin;
+
+        return RedisServer.checkVersion(server);
+      })
+      .then(() => RedisServer.spawn(server, autoPortAttempts))
+      .catch((err) => {
+        if (server.state === 'starting') {
+          RedisServer.setState(server, 'failed');
+        }
+
+        RedisServer.removeConf(server);
+        RedisServer.removeDir(server);
+        RedisServer.removeSocket(server);
+
+        throw err;
+      });
+  }
+
+  /**
+   * Start a given {@linkcode server}.
+   * @protected
+   * @fires RedisServer#stdout
+   * @fires RedisServer#stderr
+   * @fires RedisServer#log
+   * @fires RedisServer#opening
+   * @fires RedisServer#open
+   * @fires RedisServer#closing
+   * @fires RedisServer#close
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static open(server) {
+    if (RedisServer.isPending(server, 'open')) {
+      return server.openPromise;
+    }
+
+    if (!server.isRespawning) {
+      server.respawnCount = 0;
+    }
+
+    server.lastOperation = 'open';
+    server.openPromise = server.promiseQueue.add(() => {
+      if (server.state === 'running') {
+        return Promise.resolve(server.connection);
+      }
+
+      RedisServer.setState(server, 'starting');
+
+      return RedisServer.start(server);
+    });
+
+    return server.openPromise;
+  }
+
+  /**
+   * Encode a command for the Redis protocol.
+   * @protected
+   * @argument {Array.<String>} args
+   * @return {String}
+   */
+  static encodeCommand(args) {
+    return args.reduce(
+      (string, arg) => `${string}$${Buffer.byteLength(arg)}\r\n${arg}\r\n`,
+      `*${args.length}\r\n`
+    );
+  }
+
+  /**
+   * Create an {@linkcode Error} for an error reply of a Redis server.
+   * @protected
+   * @argument {String} message
+   * @return {Error}
+   */
+  static createReplyError(message) {
+    const err = new Error(message);
+
+    err.code = -7;
+
+    return err;
+  }
+
+  /**
+   * Parse a RESP2 or RESP3 reply in a given {@linkcode buffer} starting at a
+   * given {@linkcode offset}. Returns an object with the reply type, value,
+   * and the offset following the reply or {@linkcode null} when the reply
+   * is incomplete. Error replies are parsed as {@linkcode Error} values.
+   * @protected
+   * @argument {Buffer} buffer
+   * @argument {Number} offset
+   * @return {Object}
+   * @throws {Error}
+   */
+  static parseReply(buffer, offset) {
+    const end = buffer.indexOf('\r\n', offset);
+
+    if (end === -1) {
+      return null;
+    }
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, end);
+    let next = end + 2;
+
+    switch (type) {
+      case '+':
+        return { type, value: line, offset: next };
+      case '-':
+        return {
+          type,
+          value: RedisServer.createReplyError(line),
+          offset: next
+        };
+      case ':':
+        return { type, value: Number(line), offset: next };
+      case '_':
+        return { type, value: null, offset: next };
+      case '#':
+        return { type, value: line === 't', offset: next };
+      case ',':
+        return {
+          type,
+          value: doubleReplies[line] === undefined
+            ? Number(line)
+            : doubleReplies[line],
+          offset: next
+        };
+      case '(':
+        return { type, value: line, offset: next };
+      case '$':
+      case '!':
+      case '=': {
+        const length = Number(line);
+
+        if (length < 0) {
+          return { type, value: null, offset: next };
+        }
+
+        if (buffer.length < next + length + 2) {
+          return null;
+        }
+
+        let value = buffer.toString('utf8', next, next + length);
+
+        if (type === '!') {
+          value = RedisServer.createReplyError(value);
+        }
+        else if (type === '=') {
+          // Strip the format of a verbatim string (e.g. "txt:").
+          value = value.slice(4);
+        }
+
+        return { type, value, offset: next + length + 2 };
+      }
+      case '*':
+      case '~':
+      case '>':
+      case '%':
+      case '|': {
+        const length = Number(line);
+
+        if (length < 0) {
+          return { type, value: null, offset: next };
+        }
+
+        if (!isFinite(length)) {
+          break;
+        }
+
+        const count = type === '%' || type === '|' ? length * 2 : length;
+        const values = [];
+
+        for (let i = 0; i < count; ++i) {
+          const result = RedisServer.parseReply(buffer, next);
+
+          if (result === null) {
+            return null;
+          }
+
+          values.push(result.value);
+
+          next = result.offset;
+        }
+
+        if (type === '|') {
+          // Attributes are auxiliary data that precede a reply.
+          return RedisServer.parseReply(buffer, next);
+        }
+
+        if (type === '%') {
+          const value = {};
+
+          for (let i = 0; i < values.length; i += 2) {
+            value[values[i]] = values[i + 1];
+          }
+
+          return { type, value, offset: next };
+        }
+
+        return { type, value: values, offset: next };
+      }
+    }
+
+    const err = new Error(`Invalid reply from Redis server: ${
+      JSON.stringify(buffer.toString('utf8', offset, end))
+    }`);
+
+    err.code = -3;
+
+    throw err;
+  }
+
+  /**
+   * Get a connection to the Redis server of a given {@linkcode server},
+   * creating one if needed. Replies are matched to commands in the order they
+   * are sent.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {Object}
+   */
+  static connect(server) {
+    if (server.client !== null) {
+      return server.client;
+    }
+
+    const connection = server.connection;
+    const client = {
+      socket: connection.socket === null
+        ? net.connect(connection.port, connection.host)
+        : net.connect(connection.socket),
+      replies: [],
+      buffer: Buffer.concat([]),
+      error: null
+    };
+
+    client.socket.on('data', (data) => {
+      let result = null;
+
+      client.buffer = Buffer.concat([client.buffer, data]);
+
+      try {
+        while ((result = RedisServer.parseReply(client.buffer, 0)) !== null) {
+          client.buffer = client.buffer.slice(result.offset);
+
+          // Push messages are not replies to a command.
+          if (result.type === '>' || client.replies.length === 0) {
+            continue;
+          }
+
+          const reply = client.replies.shift();
+
+          if (client.replies.length === 0) {
+            client.socket.unref();
+          }
+
+          if (result.value instanceof Error) {
+            reply.reject(result.value);
+          }
+          else {
+            reply.resolve(result.value);
+          }
+        }
+      }
+      catch (err) {
+        client.socket.destroy(err);
+      }
+    });
+    client.socket.on('error', (err) => {
+      client.error = err;
+    });
+    client.socket.on('close', () => {
+      let err = client.error;
+
+      if (err === null) {
+        err = new Error('Connection to Redis server closed');
+        err.code = -8;
+      }
+
+      if (server.client === client) {
+        server.client = null;
+      }
+
+      for (let reply of client.replies.splice(0)) {
+        reply.reject(err);
+      }
+    });
+
+    server.client = client;
+
+    // Only a connection waiting for replies keeps this process running.
+    client.socket.unref();
+
+    if (connection.password !== null) {
+      // A failure to authenticate is reported by the commands that follow.
+      client.replies.push({ resolve: () => null, reject: () => null });
+      client.socket.write(
+        RedisServer.encodeCommand(['AUTH', connection.password])
+      );
+    }
+
+    return client;
+  }
+
+  /**
+   * Close the connection to the Redis server of a given {@linkcode server},
+   * if any.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {undefined}
+   */
+  static disconnect(server) {
+    if (server.client !== null) {
+      server.client.socket.destroy();
+
+      server.client = null;
+    }
+  }
+
+  /**
+   * Send a command to the Redis server of a given {@linkcode server}. A
+   * string is split into arguments as with {@link RedisServer.parseArguments}
+   * and an array is a list of literal arguments.
+   * @protected
+   * @argument {RedisServer} server
+   * @argument {String|Array.<String>} args
+   * @return {Promise}
+   */
+  static command(server, args) {
+    if (server.connection === null) {
+      const err = new Error('Redis server is not running');
+
+      err.code = -3;
+
+      return Promise.reject(err);
+    }
+
+    try {
+      args = typeof args === 'string'
+        ? RedisServer.parseArguments(args)
+        : args.map((arg) => String(arg));
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    const name = String(args[0]).toLowerCase();
+
+    if (
+      server.version !== null &&
+      !RedisServer.isSupported(server.version, name)
+    ) {
+      const err = new Error(
+        `Redis ${server.version.version} does not support ${
+          name.toUpperCase()
+        } (Redis ${featureVersions[name]})`
+      );
+
+      err.code = -9;
+
+      return Promise.reject(err);
+    }
+
+    const client = RedisServer.connect(server);
+
+    return new Promise((resolve, reject) => {
+      client.replies.push({ resolve, reject });
+      client.socket.ref();
+      client.socket.write(RedisServer.encodeCommand(args));
+    });
+  }
+
+  /**
+   * Send a {@linkcode PING} command to the Redis server of a given
+   * {@linkcode server}. Resolves once the Redis server replies, even with an
+   * error (e.g. when a password is required but not known).
+   * @protected
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static ping(server) {
+    return RedisServer.command(server, ['PING']).catch((err) => {
+      if (err.code !== -7) {
+        throw err;
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * Send a {@linkcode SHUTDOWN} command to the Redis server of a given
+   * {@linkcode server}. Resolves once the Redis server drops the connection
+   * and rejects if it replies with an error (e.g. when it fails to save).
+   * @protected
+   * @argument {RedisServer} server
+   * @argument {Boolean} save
+   * @return {Promise}
+   */
+  static shutdown(server, save) {
+    return RedisServer
+      .command(server, ['SHUTDOWN', save ? 'SAVE' : 'NOSAVE'])
+      .catch((err) => {
+        // A Redis server may reset the connection as it exits.
+        if (shutdownErrors.indexOf(err.code) === -1) {
+          throw err;
+        }
+
+        return null;
+      });
+  }
+
+  /**
+   * Stop the Redis server of a given {@linkcode server}, forcefully if it
+   * does not stop within {@link RedisServer~Config#closeTimeout}, without
+   * waiting for other operations to complete.
+   * @protected
+   * @argument {RedisServer} server
+   * @argument {RedisServer~CloseOptions} [options]
+   * @return {Promise}
+   */
+  static stop(server, options) {
+    const save = options == null ? null : options.save;
+
+    return new Promise((resolve, reject) => {
+      const closeTimer = server.config.closeTimeout > 0
+        ? setTimeout(() => {
+          server.process.kill('SIGKILL');
+        }, server.config.closeTimeout)
+        : null;
+
+      /**
+       * A listener for the current process that resolves the current
+       * {@link Promise} once it closes.
+       * @return {undefined}
+       */
+      const closeListener = () => {
+        clearTimeout(closeTimer);
+        resolve(null);
+      };
+
+      RedisServer.setState(server, 'stopping');
+      server.emit('closing');
+      server.process.once('close', closeListener);
+
+      if (save == null) {
+        return server.process.kill();
+      }
+
+      RedisServer.shutdown(server, save).catch((err) => {
+        clearTimeout(closeTimer);
+        server.process.removeListener('close', closeListener);
+        RedisServer.setState(server, 'running');
+
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Stop a given {@linkcode server}; forcefully if it does not stop within
+   * {@link RedisServer~Config#closeTimeout}.
+   * @protected
+   * @fires RedisServer#closing
+   * @argument {RedisServer} server
+   * @argument {RedisServer~CloseOptions} [options]
+   * @return {Promise}
+   */
+  static close(server, options) {
+    if (RedisServer.isPending(server, 'close')) {
+      return server.closePromise;
+    }
+
+    RedisServer.cancelRespawn(server);
+
+    server.lastOperation = 'close';
+    server.closePromise = server.promiseQueue.add(() => {
+      if (server.state !== 'running') {
+        return Promise.resolve(null);
+      }
+
+      return RedisServer.stop(server, options);
+    });
+
+    return server.closePromise;
+  }
+
+  /**
+   * Stop and start a given {@linkcode server} with the same data directory
+   * and, optionally, a given parsed {@linkcode config} without waiting for
+   * other operations to complete.
+   * @protected
+   * @fires RedisServer#restarting
+   * @fires RedisServer#restart
+   * @argument {RedisServer} server
+   * @argument {RedisServer~Config} config
+   * {@linkcode null} to keep the current configuration.
+   * @return {Promise}
+   */
+  static reopen(server, config) {
+    server.isRestarting = true;
+
+    server.emit('restarting');
+
+    const stopPromise = server.state === 'running'
+      ? RedisServer.stop(server, null)
+      : Promise.resolve(null);
+
+    return stopPromise
+      .then(() => {
+        if (config !== null) {
+          if (config.dir !== server.config.dir) {
+            server.isRestarting = false;
+
+            RedisServer.removeDir(server);
+
+            server.isRestarting = true;
+            server.dir = typeof config.dir === 'string'
+              ? config.dir
+              : null;
+          }
+
+          if (config.socket !== server.config.socket) {
+            server.socket = typeof config.socket === 'string'
+              ? config.socket
+              : null;
+          }
+
+          server.config = config;
+        }
+
+        RedisServer.setState(server, 'starting');
+
+        return RedisServer.start(server);
+      })
+      .then((connection) => {
+        server.isRestarting = false;
+
+        server.emit('restart');
+
+        return connection;
+      }, (err) => {
+        server.isRestarting = false;
+
+        if (!server.isRunning) {
+          RedisServer.removeDir(server);
+        }
+
+        throw err;
+      });
+  }
+
+  /**
+   * Stop and start a given {@linkcode server} with the same data directory
+   * and, optionally, a given {@linkcode config}.
+   * @protected
+   * @fires RedisServer#restarting
+   * @fires RedisServer#restart
+   * @argument {RedisServer} server
+   * @argument {(Number|String|RedisServer~Config)} [config]
+   * @return {Promise}
+   */
+  static restart(server, config) {
+    let nextConfig = null;
+
+    if (config != null) {
+      try {
+        nextConfig = RedisServer.parseConfig(
+          config,
+          Object.assign({}, server.config)
+        );
+      }
+      catch (err) {
+        return Promise.reject(err);
+      }
+    }
+
+    // Like RedisServer.open, a restart ends with a running server.
+    server.lastOperation = 'open';
+    server.openPromise = server.promiseQueue.add(() =>
+      RedisServer.reopen(server, nextConfig));
+
+    return server.openPromise;
+  }
+
+  /**
+   * Format the arguments of each occurrence of a directive as a value for a
+   * {@linkcode CONFIG SET} command.
+   * @protected
+   * @argument {Array.<Array.<String>>} occurrences
+   * @return {String}
+   */
+  static formatConfigValue(occurrences) {
+    return occurrences.map((args) => args.join(' ')).join(' ');
+  }
+
+  /**
+   * Apply given {@linkcode changes} to a given {@linkcode server}. Changes
+   * are applied to the running Redis server with {@linkcode CONFIG SET}
+   * unless they cannot be changed at runtime, in which case the Redis server
+   * is restarted with them.
+   * @protected
+   * @argument {RedisServer} server
+   * @argument {RedisServer~Directives} changes
+   * @argument {RedisServer~ConfigureOptions} [options]
+   * @return {Promise}
+   */
+  static configure(server, changes, options) {
+    let directives = null;
+
+    try {
+      directives = RedisServer.parseDirectives(changes, reservedDirectives);
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    const names = Object.keys(directives);
+    const rewrite = options != null && options.rewrite === true;
+    const restartNames = [];
+
+    // Only a configuration file path is one of the user's to rewrite.
+    if (rewrite && typeof server.config.conf !== 'string') {
+      return Promise.reject(new TypeError(
+        'Rewriting needs RedisServer~Config#conf to be a path'
+      ));
+    }
+
+    /**
+     * Keep the configuration of the current server in sync with a directive
+     * of a given {@linkcode name}.
+     * @argument {String} name
+     * @return {undefined}
+     */
+    const apply = (name) => {
+      if (server.config.config === null) {
+        server.config.config = Object.create(null);
+      }
+
+      server.config.config[name] = directives[name];
+    };
+
+    return server.promiseQueue.add(() => {
+      if (server.state !== 'running') {
+        names.forEach(apply);
+
+        return server.connection;
+      }
+
+      return names
+        .reduce((promise, name) => promise.then(() => RedisServer
+          .command(server, [
+            'CONFIG',
+            'SET',
+            name,
+            RedisServer.formatConfigValue(directives[name])
+          ])
+          .catch((err) => {
+            if (err.code === -7 && regExp.immutableConfig.test(err.message)) {
+              return restartNames.push(name);
+            }
+
+            if (
+              err.code !== -7 ||
+              !regExp.unsupportedConfig.test(err.message)
+            ) {
+              throw err;
+            }
+
+            // Redis before 7.0.0 replies the same to unknown and immutable
+            // parameters; only the latter can be read.
+            return RedisServer
+              .command(server, ['CONFIG', 'GET', name])
+              .then((reply) => {
+                if (reply.length === 0) {
+                  throw err;
+                }
+
+                restartNames.push(name);
+              });
+          })
+          .then(() => apply(name))
+        ), Promise.resolve())
+        .then(() => {
+          if (rewrite) {
+            return RedisServer.command(server, ['CONFIG', 'REWRITE']);
+          }
+        })
+        .then(() => {
+          if (restartNames.length === 0) {
+            return server.connection;
+          }
+
+          return RedisServer.reopen(server, null);
+        });
+    });
+  }
+
+  /**
+   * Get the configuration of the Redis server of a given {@linkcode server}
+   * with {@linkcode CONFIG GET} for parameters that match a given
+   * {@linkcode pattern}.
+   * @protected
+   * @argument {RedisServer} server
+   * @argument {String} pattern
+   * @return {Promise}
+   */
+  static getConfig(server, pattern) {
+    return RedisServer
+      .command(server, ['CONFIG', 'GET', pattern == null ? '*' : pattern])
+      .then((reply) => {
+        if (!Array.isArray(reply)) {
+          return reply;
+        }
+
+        const config = {};
+
+        for (let i = 0; i < reply.length; i += 2) {
+          config[reply[i]] = reply[i + 1];
+        }
+
+        return config;
+      });
+  }
+
+  /**
+   * Get the path of the {@link RedisServer~Metadata} file beside a given
+   * {@linkcode pidfile}.
+   * @protected
+   * @argument {String} pidfile
+   * @return {String}
+   */
+  static getMetadataPath(pidfile) {
+    return `${pidfile}.json`;
+  }
+
+  /**
+   * Write a pidfile, and {@link RedisServer~Metadata} beside it, for the
+   * current process of a given {@linkcode server}.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  static writePidfile(server) {
+    const pid = server.process.pid;
+    const pidfile = path.resolve(server.config.pidfile == null
+      ? path.join(
+        server.dir === null ? os.tmpdir() : server.dir,
+        `redis-server-${server.port || pid}.pid`
+      )
+      : server.config.pidfile);
+    const metadata = {
+      pid,
+      bin: server.bin,
+      version: server.version,
+      port: server.port,
+      dir: server.dir,
+      socket: server.socket,
+      confPath: server.confPath,
+      connection: server.connection,
+      config: Object.assign({}, server.config, { backend: null })
+    };
+
+    /**
+     * Write {@linkcode data} to a given new {@linkcode file} that only the
+     * current user can read, since metadata may hold a password.
+     * @argument {String} file
+     * @argument {String} data
+     * @return {Promise}
+     */
+    const write = (file, data) => new Promise((resolve, reject) => {
+      fs.writeFile(file, data, { mode: 0o600, flag: 'wx' }, (err) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(file);
+        }
+      });
+    });
+
+    /**
+     * Delete the files of a pidfile whose process is no longer running.
+     * @return {Promise}
+     */
+    const removeStale = () => RedisServer
+      .readPid(pidfile)
+      .then((stalePid) => RedisServer.isProcessRunning(stalePid), () => false)
+      .then((isRunning) => {
+        if (isRunning) {
+          return;
+        }
+
+        for (let file of [pidfile, RedisServer.getMetadataPath(pidfile)]) {
+          try {
+            fs.unlinkSync(file);
+          }
+          catch (err) {
+            // The file is missing or another user's; writing it fails then.
+          }
+        }
+      });
+
+    // The pidfile comes last so that there is metadata for any pidfile.
+    return removeStale()
+      .then(() => write(
+        RedisServer.getMetadataPath(pidfile),
+        JSON.stringify(metadata)
+      ))
+      .then(() => write(pidfile, `${pid}\n`))
+      .then(() => {
+        server.pidfile = pidfile;
+
+        return pidfile;
+      });
+  }
+
+  /**
+   * Delete the pidfile, and the metadata beside it, of a given
+   * {@linkcode server}, if any.
+   * @protected
+   * @argument {RedisServer} server
+   * @return {undefined}
+   */
+  static removePidfile(server) {
+    if (server.pidfile === null) {
+      return;
+    }
+
+    for (let file of [
+      server.pidfile,
+      RedisServer.getMetadataPath(server.pidfile)
+    ]) {
+      try {
+        fs.unlinkSync(file);
+      }
+      catch (err) {
+        // istanbul ignore next
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    }
+
+    server.pidfile = null;
+  }
+
+  /**
+   * Read the process ID in a given {@linkcode pidfile}.
+   * @protected
+   * @argument {String} pidfile
+   * @return {Promise}
+   */
+  static readPid(pidfile) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(pidfile, 'utf8', (err, data) => {
+        if (err) {
+          reject(err);
+        }
+        else if (parseInt(data, 10) > 0) {
+          resolve(parseInt(data, 10));
+        }
+        else {
+          reject(new Error(`No process ID is in ${pidfile}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Read the {@link RedisServer~Metadata} of a detached Redis server
+   * recorded in a given {@linkcode pidfile}.
+   * @protected
+   * @argument {String} pidfile
+   * @return {Promise}
+   */
+  static readPidfile(pidfile) {
+    /**
+     * Read a given {@linkcode file}.
+     * @argument {String} file
+     * @return {Promise}
+     */
+    const read = (file) => new Promise((resolve, reject) => {
+      fs.readFile(file, 'utf8', (err, data) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(data);
+        }
+      });
+    });
+
+    return Promise
+      .all([
+        RedisServer.readPid(pidfile),
+        read(RedisServer.getMetadataPath(pidfile))
+      ])
+      .then((data) => {
+        const metadata = JSON.parse(data[1]);
+
+        if (data[0] !== metadata.pid) {
+          throw new Error(`Process ID ${data[0]} has no metadata`);
+        }
+
+        return metadata;
+      })
+      .catch((cause) => {
+        const err = new Error(
+          `No detached Redis server is recorded in ${pidfile}`
+        );
+
+        err.code = -3;
+        err.cause = cause;
+
+        throw err;
+      });
+  }
+
+  /**
+   * Determine if a process with a given {@linkcode pid} is running.
+   * @protected
+   * @argument {Number} pid
+   * @return {Boolean}
+   */
+  static isProcessRunning(pid) {
+    try {
+      process.kill(pid, 0);
+
+      return true;
+    }
+    catch (err) {
+      return err.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Create a {@link RedisServer~Process} for a process with a given
+   * {@linkcode pid} that was not spawned by this one. It emits "close" once
+   * the process is no longer running, which is checked for without keeping
+   * this process from exiting until it is killed.
+   * @protected
+   * @argument {Number} pid
+   * @return {RedisServer~Process}
+   */
+  static watchProcess(pid) {
+    const child = new events.EventEmitter();
+    const timer = setInterval(() => {
+      if (RedisServer.isProcessRunning(pid)) {
+        return;
+      }
+
+      clearInterval(timer);
+      child.emit('exit', null, null);
+      child.emit('close', null, null);
+    }, watchInterval);
+
+    timer.unref();
+
+    child.pid = pid;
+    child.stdout = null;
+    child.stderr = null;
+
+    /**
+     * Send a given {@linkcode signal} to the process.
+     * @argument {String} [signal]
+     * @return {Boolean}
+     */
+    child.kill = (signal) => {
+      timer.ref();
+
+      try {
+        process.kill(pid, signal || 'SIGTERM');
+
+        return true;
+      }
+      catch (err) {
+        return false;
+      }
+    };
+
+    return child;
+  }
+
+  /**
+   * Get a {@link RedisServer} for a detached Redis server recorded in a
+   * given {@linkcode pidfile}, by this process or another one. It is running
+   * until it closes or its process exits otherwise.
+   * @argument {String} pidfile
+   * @return {Promise}
+   */
+  static attach(pidfile) {
+    pidfile = path.resolve(pidfile);
+
+    return RedisServer.readPidfile(pidfile).then((metadata) => {
+      if (!RedisServer.isProcessRunning(metadata.pid)) {
+        const err = new Error(
+          `Redis server ${metadata.pid} of ${pidfile} is not running`
+        );
+
+        err.code = -3;
+
+        throw err;
+      }
+
+      const server = new RedisServer(
+        Object.assign({}, metadata.config, { pidfile })
+      );
+
+      server.process = RedisServer.watchProcess(metadata.pid);
+      server.bin = metadata.bin;
+      server.version = metadata.version;
+      server.port = metadata.port;
+      server.dir = metadata.dir;
+      server.socket = metadata.socket;
+      server.confPath = metadata.confPath;
+      server.connection = metadata.connection;
+      server.pidfile = pidfile;
+      server.state = 'running';
+
+      server.process.on('close', (code, signal) => {
+        const crashed = server.state === 'running';
+
+        RedisServer.removePidfile(server);
+        RedisServer.removeConf(server);
+        RedisServer.removeDir(server);
+        RedisServer.removeSocket(server);
+
+        RedisServer.disconnect(server);
+
+        server.process = null;
+        server.port = null;
+        server.connection = null;
+
+        RedisServer.setState(server, server.state === 'stopping' &&
+          server.previousState === 'running' ? 'stopped' : 'failed');
+        server.emit('exit', { code, signal, crashed, respawn: false });
+        server.emit('close');
+      });
+
+      return server;
+    });
+  }
+
+  /**
+   * Construct a new {@link RedisServer}.
+   * @argument {(Number|String|RedisServer~Config)} [configOrPort]
+   * A number or string that is a port or an object for configuration.
+   */
+  constructor(configOrPort) {
+    super();
 
     /**
      * Configuration options.
@@ -322,11 +3588,32 @@ class RedisServer extends events.EventEmitter {
      */
     this.config = RedisServer.parseConfig(configOrPort, {
       bin: 'redis-server',
+      checkBin: false,
+      version: null,
+      backend: null,
       conf: null,
-      port: 6379,
-      slaveof: null
+      port: null,
+      replicaof: null,
+      slaveof: null,
+      dir: null,
+      keepDir: false,
+      socket: null,
+      socketPerm: null,
+      openTimeout: null,
+      closeTimeout: null,
+      supervise: false,
+      respawnDelay: 100,
+      maxRespawns: 10,
+      detached: false,
+      pidfile: null,
+      config: null
     });
 
+    // Defer to the port in a configuration file unless told otherwise.
+    if (this.config.conf === null && this.config.port === null) {
+      this.config.port = 6379;
+    }
+
     /**
      * The current process.
      * @protected
@@ -334,6 +3621,84 @@ class RedisServer extends events.EventEmitter {
      */
     this.process = null;
 
+    /**
+     * The port the running Redis server is bound to; {@linkcode null} while
+     * no Redis server is running or it does not listen on TCP.
+     * @readonly
+     * @type {Number}
+     */
+    this.port = null;
+
+    /**
+     * How to connect to the running Redis server; {@linkcode null} while no
+     * Redis server is running.
+     * @readonly
+     * @type {RedisServer~Connection}
+     */
+    this.connection = null;
+
+    /**
+     * The Redis server binary as of the last time a Redis server was started;
+     * {@link RedisServer~Config#bin} unless one was selected by
+     * {@link RedisServer~Config#version}.
+     * @readonly
+     * @type {String}
+     */
+    this.bin = this.config.bin;
+
+    /**
+     * Build information of the Redis server binary as of the last time a
+     * Redis server was started; {@linkcode null} until then or when the
+     * binary does not report a version.
+     * @readonly
+     * @type {RedisServer~Version}
+     */
+    this.version = null;
+
+    /**
+     * The path of the data directory of the Redis server; {@linkcode null}
+     * when Redis uses its working directory or a temporary one is yet to be
+     * created.
+     * @readonly
+     * @type {String}
+     */
+    this.dir = typeof this.config.dir === 'string' ? this.config.dir : null;
+
+    /**
+     * The Unix socket path of the Redis server; {@linkcode null} when Redis
+     * does not listen on a Unix socket or a temporary one is yet to be
+     * chosen.
+     * @readonly
+     * @type {String}
+     */
+    this.socket = typeof this.config.socket === 'string'
+      ? this.config.socket
+      : null;
+
+    /**
+     * The pidfile of the running Redis server; {@linkcode null} unless it is
+     * detached.
+     * @readonly
+     * @type {String}
+     */
+    this.pidfile = null;
+
+    /**
+     * A connection to the running Redis server used by
+     * {@link RedisServer#command}; {@linkcode null} until a command is sent.
+     * @protected
+     * @type {Object}
+     */
+    this.client = null;
+
+    /**
+     * The path of a temporary configuration file written for the current
+     * process when {@link RedisServer~Config#conf} is a set of directives.
+     * @protected
+     * @type {String}
+     */
+    this.confPath = null;
+
     /**
      * The last {@link Promise} returned by {@link RedisServer#open}.
      * @protected
@@ -356,31 +3721,96 @@ class RedisServer extends events.EventEmitter {
     this.promiseQueue = new PromiseQueue(1);
 
     /**
-     * Determine if the instance is closing a Redis server; {@linkcode true}
-     * while a process is being, or about to be, killed until the
-     * contained Redis server either closes or errs.
-     * @readonly
+     * The name of the last operation added to
+     * {@link RedisServer#promiseQueue}; {@linkcode 'open'} or
+     * {@linkcode 'close'}.
+     * @protected
+     * @type {String}
+     */
+    this.lastOperation = null;
+
+    /**
+     * Determine if the instance is restarting a Redis server; {@linkcode true}
+     * from when the Redis server is about to be stopped until it is started
+     * again or fails to start.
+     * @protected
      * @type {Boolean}
      */
-    this.isClosing = false;
+    this.isRestarting = false;
 
     /**
-     * Determine if the instance is starting a Redis server; {@linkcode true}
-     * while a process is spawning, or about tobe spawned, until the
-     * contained Redis server either starts or errs.
-     * @readonly
+     * Determine if the instance is about to start a Redis server that
+     * crashed; {@linkcode true} from when the Redis server exits until it
+     * opens again or {@link RedisServer~Config#maxRespawns} is reached.
+     * @protected
      * @type {Boolean}
      */
-    this.isRunning = false;
+    this.isRespawning = false;
+
+    /**
+     * The number of times a Redis server was respawned since it was last
+     * opened.
+     * @protected
+     * @type {Number}
+     */
+    this.respawnCount = 0;
+
+    /**
+     * A timer for the next respawn, if any.
+     * @protected
+     * @type {Object}
+     */
+    this.respawnTimer = null;
 
     /**
-     * Determine if the instance is running a Redis server; {@linkcode true}
-     * once a process has spawned and the contained Redis server is ready
-     * to service requests.
+     * The lifecycle state of the instance; {@linkcode 'stopped'},
+     * {@linkcode 'starting'}, {@linkcode 'running'}, {@linkcode 'stopping'},
+     * or {@linkcode 'failed'}.
      * @readonly
-     * @type {Boolean}
+     * @type {String}
      */
-    this.isOpening = false;
+    this.state = 'stopped';
+
+    /**
+     * The lifecycle state of the instance before the current one, if any.
+     * @protected
+     * @type {String}
+     */
+    this.previousState = null;
+  }
+
+  /**
+   * Determine if the instance is starting a Redis server; {@linkcode true}
+   * while a process is spawning, or about to be spawned, until the contained
+   * Redis server either starts or errs.
+   * @readonly
+   * @type {Boolean}
+   */
+  get isOpening() {
+    return this.state === 'starting';
+  }
+
+  /**
+   * Determine if the instance is running a Redis server; {@linkcode true}
+   * once a process has spawned and the contained Redis server is ready to
+   * service requests until the process exits.
+   * @readonly
+   * @type {Boolean}
+   */
+  get isRunning() {
+    return this.state === 'running' ||
+      this.state === 'stopping' && this.previousState === 'running';
+  }
+
+  /**
+   * Determine if the instance is closing a Redis server; {@linkcode true}
+   * while a process is being killed until the contained Redis server either
+   * closes or errs.
+   * @readonly
+   * @type {Boolean}
+   */
+  get isClosing() {
+    return this.state === 'stopping';
   }
 
   /**
@@ -400,13 +3830,110 @@ class RedisServer extends events.EventEmitter {
     return promise;
   }
 
+  /**
+   * Restart the server with the same data directory and, optionally, changes
+   * to its configuration.
+   * @argument {(Number|String|RedisServer~Config)} [config]
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  restart(config, callback) {
+    if (typeof config === 'function') {
+      callback = config;
+      config = null;
+    }
+
+    const promise = RedisServer.restart(this, config);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Send a command to the server. Resolves with the reply or rejects with an
+   * error reply.
+   * @argument {String|Array.<String>} args
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  command(args, callback) {
+    const promise = RedisServer.command(this, args);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Change the configuration of the server and of the running Redis server,
+   * if any, restarting it when needed.
+   * @argument {RedisServer~Directives} changes
+   * @argument {RedisServer~ConfigureOptions} [options]
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  configure(changes, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const promise = RedisServer.configure(this, changes, options);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Get the configuration of the running Redis server.
+   * @argument {String} [pattern]
+   * @argument {RedisServer~callback} [callback]
+   * @return {Promise}
+   */
+  getConfig(pattern, callback) {
+    if (typeof pattern === 'function') {
+      callback = pattern;
+      pattern = null;
+    }
+
+    const promise = RedisServer.getConfig(this, pattern);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
   /**
    * Close the server.
+   * @argument {RedisServer~CloseOptions} [options]
    * @argument {RedisServer~callback} [callback]
    * @return {Promise}
    */
-  close(callback) {
-    const promise = RedisServer.close(this);
+  close(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const promise = RedisServer.close(this, options);
 
     if (typeof callback === 'function') {
       return promise
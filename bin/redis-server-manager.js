@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+'use strict';
+
+const childprocess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const RedisServer = require('../RedisServer');
+const packageInfo = require('../package.json');
+const usage = `Usage: redis-server-manager [start] [options]
+       redis-server-manager stop [--pidfile <path>] [--timeout <ms>]
+       redis-server-manager status [--pidfile <path>]
+
+Start Redis servers and keep them running until interrupted.
+
+Options:
+  -p, --port <port>      A port to bind to or "auto" for any free port
+  -n, --count <count>    A number of Redis servers to start (default: 1)
+  -f, --file <path>      A JSON or YAML file with RedisServer configuration
+                         or a list of it
+  -b, --bin <path>       A Redis server binary
+      --conf <path>      A Redis configuration file
+      --dir <path>       A data directory or "true" for a temporary one
+      --socket <path>    A Unix socket path or "true" for a temporary one
+  -s, --set <directive>  A Redis directive (e.g. "maxmemory 64mb")
+      --json             Print connection details and logs as JSON lines
+  -q, --quiet            Do not print logs
+  -d, --detach           Run in the background once every server is open
+      --pidfile <path>   A pidfile (default: redis-server-manager.pid)
+      --timeout <ms>     Milliseconds for "stop" to wait (default: 10000)
+  -h, --help             Print this message
+  -v, --version          Print the version of redis-server-manager
+`;
+const options = {
+  port: { alias: 'p', hasValue: true },
+  count: { alias: 'n', hasValue: true },
+  file: { alias: 'f', hasValue: true },
+  bin: { alias: 'b', hasValue: true },
+  conf: { hasValue: true },
+  dir: { hasValue: true },
+  socket: { hasValue: true },
+  set: { alias: 's', hasValue: true, isList: true },
+  json: {},
+  quiet: { alias: 'q' },
+  detach: { alias: 'd' },
+  pidfile: { hasValue: true },
+  timeout: { hasValue: true },
+  help: { alias: 'h' },
+  version: { alias: 'v' }
+};
+const commands = ['start', 'stop', 'status'];
+const defaultPidfile = 'redis-server-manager.pid';
+const defaultTimeout = 10000;
+const daemonEnv = 'REDIS_SERVER_MANAGER_DAEMON';
+const stopInterval = 100;
+const exitCodes = {
+  error: 1,
+  usage: 2,
+  notRunning: 3
+};
+
+/**
+ * Parse command-line arguments into a command and options by name.
+ * @argument {Array.<String>} argv
+ * @return {Object}
+ * @throws {TypeError}
+ */
+const parseArgs = (argv) => {
+  const result = { command: 'start', options: {} };
+  const aliases = Object.keys(options).reduce((o, name) => {
+    if (options[name].alias !== undefined) {
+      o[options[name].alias] = name;
+    }
+
+    return o;
+  }, {});
+
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+
+    if (i === 0 && commands.indexOf(arg) !== -1) {
+      result.command = arg;
+
+      continue;
+    }
+
+    const matches = /^(?:--([a-z]+)(?:=(.*))?|-([a-z]))$/.exec(arg);
+    const name = matches === null
+      ? null
+      : matches[1] || aliases[matches[3]];
+
+    if (name == null || options[name] === undefined) {
+      throw new TypeError(`Unknown option "${arg}"`);
+    }
+
+    let value = true;
+
+    if (options[name].hasValue) {
+      value = matches[2] === undefined ? argv[++i] : matches[2];
+
+      if (value === undefined) {
+        throw new TypeError(`Option "${arg}" needs a value`);
+      }
+    }
+
+    if (options[name].isList) {
+      result.options[name] = (result.options[name] || []).concat(value);
+    }
+    else {
+      result.options[name] = value;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get a value of an option that may be {@linkcode 'true'} or
+ * {@linkcode 'false'} as a boolean.
+ * @argument {String} value
+ * @return {(String|Boolean)}
+ */
+const parseFlagValue = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  return value;
+};
+
+/**
+ * Read {@link RedisServer~Config} from a JSON or YAML file.
+ * @argument {String} file
+ * @return {Array.<RedisServer~Config>}
+ * @throws {Error}
+ */
+const readConfigFile = (file) => {
+  const data = fs.readFileSync(file, 'utf8');
+  const configs = /\.json$/i.test(file)
+    ? JSON.parse(data)
+    : yaml.safeLoad(data);
+
+  return [].concat(configs).map((config) => {
+    if (config === null || typeof config !== 'object') {
+      throw new TypeError(`Invalid configuration in ${file}`);
+    }
+
+    return config;
+  });
+};
+
+/**
+ * Get {@link RedisServer~Config} for each Redis server to start.
+ * @argument {Object} opts
+ * @return {Array.<RedisServer~Config>}
+ * @throws {Error}
+ */
+const createConfigs = (opts) => {
+  const flags = {};
+  const count = opts.count === undefined ? 1 : Number(opts.count);
+
+  if (!(count >= 1) || count % 1 !== 0) {
+    throw new TypeError('Count must be a positive integer');
+  }
+
+  for (let name of ['bin', 'conf', 'dir', 'socket']) {
+    if (opts[name] !== undefined) {
+      flags[name] = parseFlagValue(opts[name]);
+    }
+  }
+
+  if (opts.port !== undefined) {
+    flags.port = /^\d+$/.test(opts.port)
+      ? Number(opts.port)
+      : parseFlagValue(opts.port);
+  }
+
+  if (opts.set !== undefined) {
+    flags.config = opts.set.reduce((config, directive) => {
+      const matches = /^\s*(\S+)\s*(.*)$/.exec(directive);
+
+      if (matches === null) {
+        throw new TypeError(`Invalid directive "${directive}"`);
+      }
+
+      config[matches[1]] = [].concat(config[matches[1]] || [], matches[2]);
+
+      return config;
+    }, {});
+  }
+
+  const configs = opts.file === undefined ? [{}] : readConfigFile(opts.file);
+  const result = [];
+  const portCounts = {};
+  const ports = [];
+
+  for (let i = 0; i < count; ++i) {
+    for (let config of configs) {
+      const merged = Object.assign({}, config, flags);
+
+      if (flags.config !== undefined && config.config != null) {
+        merged.config = Object.assign({}, config.config, flags.config);
+      }
+
+      // Bind each Redis server to a port of its own, counting up from each
+      // port across every configuration.
+      if (typeof merged.port === 'number') {
+        const port = merged.port;
+
+        portCounts[port] = (portCounts[port] || 0) + 1;
+        merged.port = port + portCounts[port] - 1;
+
+        if (ports.indexOf(merged.port) !== -1) {
+          throw new TypeError(
+            `Port ${merged.port} is used by more than one server; use "auto"`
+          );
+        }
+
+        ports.push(merged.port);
+      }
+
+      result.push(merged);
+    }
+  }
+
+  // Give each Redis server that shares a data directory one of its own in it.
+  const dirs = result
+    .filter((config) => typeof config.dir === 'string')
+    .map((config) => config.dir);
+
+  result.forEach((config, index) => {
+    if (
+      typeof config.dir === 'string' &&
+      dirs.indexOf(config.dir) !== dirs.lastIndexOf(config.dir)
+    ) {
+      result[index] = Object.assign({}, config, {
+        dir: path.join(config.dir, String(index))
+      });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Create the data directory of each of given {@linkcode configs} that is a
+ * path, and the directory it is in, if missing.
+ * @argument {Array.<RedisServer~Config>} configs
+ * @return {undefined}
+ * @throws {Error}
+ */
+const createDirs = (configs) => {
+  for (let config of configs) {
+    if (typeof config.dir !== 'string') {
+      continue;
+    }
+
+    for (let dir of [path.dirname(config.dir), config.dir]) {
+      try {
+        fs.mkdirSync(dir);
+      }
+      catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Read the process ID in a given {@linkcode pidfile}.
+ * @argument {String} pidfile
+ * @return {Promise}
+ * {@linkcode null} when there is no pidfile or the process is not running.
+ */
+const readPid = (pidfile) => RedisServer
+  .readPid(pidfile)
+  .then((pid) => RedisServer.isProcessRunning(pid) ? pid : null, () => null);
+
+/**
+ * Remove a given {@linkcode pidfile} if it belongs to this process.
+ * @argument {String} pidfile
+ * @return {Promise}
+ */
+const removePidfile = (pidfile) => RedisServer
+  .readPid(pidfile)
+  .then((pid) => {
+    if (pid === process.pid) {
+      fs.unlinkSync(pidfile);
+    }
+  })
+  .catch(() => {
+    // The pidfile is gone already.
+  });
+
+/**
+ * Print a line to stdout.
+ * @argument {String} line
+ * @return {undefined}
+ */
+const print = (line) => {
+  process.stdout.write(`${line}\n`);
+};
+
+/**
+ * Print a line to stderr.
+ * @argument {String} line
+ * @return {undefined}
+ */
+const printError = (line) => {
+  process.stderr.write(`${line}\n`);
+};
+
+/**
+ * Describe how to connect to a Redis server in a line.
+ * @argument {RedisServer~Connection} connection
+ * @argument {Number} index
+ * @argument {Boolean} isJSON
+ * @return {String}
+ */
+const formatConnection = (connection, index, isJSON) => isJSON
+  ? JSON.stringify({ type: 'open', server: index, connection })
+  : connection.url || connection.socket;
+
+/**
+ * Start Redis servers in this process and keep them running until a signal
+ * to stop.
+ * @argument {Object} opts
+ * @return {undefined}
+ */
+const start = (opts) => {
+  const isDaemon = opts.detach === true && process.env[daemonEnv] === '1';
+  const isJSON = opts.json === true;
+  const pidfile = opts.pidfile === undefined
+    ? isDaemon ? defaultPidfile : null
+    : opts.pidfile;
+  const configs = createConfigs(opts);
+  const servers = configs.map((config) => new RedisServer(config));
+  let isClosing = false;
+
+  createDirs(configs);
+
+  /**
+   * Close every Redis server and exit with a given {@linkcode code}.
+   * @argument {Number} code
+   * @return {undefined}
+   */
+  const close = (code) => {
+    if (isClosing) {
+      return;
+    }
+
+    isClosing = true;
+
+    Promise
+      .all(servers.map((server) => server.close().catch((err) => {
+        printError(`Failed to close Redis server: ${err.message}`);
+      })))
+      .then(() => pidfile === null ? null : removePidfile(pidfile))
+      .then(() => process.exit(code));
+  };
+
+  servers.forEach((server, index) => {
+    if (opts.quiet !== true) {
+      server.on('log', (entry) => printError(isJSON
+        ? JSON.stringify(Object.assign({ type: 'log', server: index }, entry))
+        : `[${index}] ${entry.line}`));
+    }
+
+    server.on('exit', (exit) => {
+      if (exit.crashed && !exit.respawn) {
+        printError(`Redis server ${index} exited unexpectedly`);
+        close(exitCodes.error);
+      }
+    });
+  });
+
+  process.on('SIGINT', () => close(0));
+  process.on('SIGTERM', () => close(0));
+
+  Promise
+    .resolve(pidfile === null ? null : readPid(pidfile))
+    .then((pid) => {
+      if (pid !== null) {
+        throw new Error(`Already running (pid ${pid})`);
+      }
+
+      return Promise.all(servers.map((server) => server.open()));
+    })
+    .then((connections) => {
+      if (pidfile !== null) {
+        fs.writeFileSync(pidfile, `${process.pid}\n`);
+      }
+
+      if (isDaemon) {
+        process.send({ type: 'open', connections });
+        process.disconnect();
+
+        return;
+      }
+
+      connections.forEach((connection, index) =>
+        print(formatConnection(connection, index, isJSON)));
+    })
+    .catch((err) => {
+      if (isDaemon) {
+        process.send({ type: 'error', message: err.message });
+      }
+      else {
+        printError(err.message);
+      }
+
+      close(exitCodes.error);
+    });
+};
+
+/**
+ * Start Redis servers in a background process and exit once they are open.
+ * @argument {Object} opts
+ * @argument {Array.<String>} argv
+ * @return {undefined}
+ */
+const detach = (opts, argv) => {
+  const child = childprocess.spawn(
+    process.execPath,
+    [__filename].concat(argv),
+    {
+      // Mark the child as the daemon rather than a process that happens to
+      // have an IPC channel to its parent.
+      env: Object.assign({}, process.env, { [daemonEnv]: '1' }),
+      detached: true,
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+    }
+  );
+  let isDone = false;
+
+  child.on('message', (message) => {
+    isDone = true;
+
+    if (message.type === 'open') {
+      message.connections.forEach((connection, index) =>
+        print(formatConnection(connection, index, opts.json === true)));
+      child.disconnect();
+      child.unref();
+
+      return;
+    }
+
+    printError(message.message);
+    process.exitCode = exitCodes.error;
+  });
+  child.on('exit', (code) => {
+    if (!isDone) {
+      printError(`redis-server-manager exited with code ${code}`);
+      process.exitCode = exitCodes.error;
+    }
+  });
+};
+
+/**
+ * Stop a manager process in the background by its pidfile.
+ * @argument {Object} opts
+ * @return {Promise}
+ */
+const stop = (opts) => {
+  const pidfile = opts.pidfile === undefined ? defaultPidfile : opts.pidfile;
+  const timeout = opts.timeout === undefined
+    ? defaultTimeout
+    : Number(opts.timeout);
+
+  return readPid(pidfile).then((pid) => {
+    if (pid === null) {
+      print('Not running');
+
+      return;
+    }
+
+    const deadline = Date.now() + timeout;
+
+    process.kill(pid, 'SIGTERM');
+
+    /**
+     * Wait for the process to exit.
+     * @return {undefined}
+     */
+    const check = () => {
+      if (!RedisServer.isProcessRunning(pid)) {
+        print(`Stopped (pid ${pid})`);
+
+        return;
+      }
+
+      if (Date.now() >= deadline) {
+        printError(`Still running (pid ${pid}) after ${timeout}ms`);
+        process.exitCode = exitCodes.error;
+
+        return;
+      }
+
+      setTimeout(check, stopInterval);
+    };
+
+    check();
+  });
+};
+
+/**
+ * Report whether a manager process of a pidfile is running.
+ * @argument {Object} opts
+ * @return {Promise}
+ */
+const status = (opts) => readPid(
+  opts.pidfile === undefined ? defaultPidfile : opts.pidfile
+).then((pid) => {
+  if (pid === null) {
+    print('Not running');
+    process.exitCode = exitCodes.notRunning;
+
+    return;
+  }
+
+  print(`Running (pid ${pid})`);
+});
+
+/**
+ * Run redis-server-manager with given command-line arguments.
+ * @argument {Array.<String>} argv
+ * @return {undefined}
+ */
+const main = (argv) => {
+  let args = null;
+
+  /**
+   * Print a given error and exit with an error code.
+   * @argument {Error} err
+   * @return {undefined}
+   */
+  const fail = (err) => {
+    printError(err.message);
+    process.exitCode = exitCodes.error;
+  };
+
+  try {
+    args = parseArgs(argv);
+  }
+  catch (err) {
+    printError(`${err.message}\n\n${usage}`);
+    process.exitCode = exitCodes.usage;
+
+    return;
+  }
+
+  if (args.options.help === true) {
+    return print(usage);
+  }
+
+  if (args.options.version === true) {
+    return print(packageInfo.version);
+  }
+
+  try {
+    switch (args.command) {
+      case 'stop':
+        return stop(args.options).catch(fail);
+
+      case 'status':
+        return status(args.options).catch(fail);
+
+      default:
+        if (
+          args.options.detach === true &&
+          process.env[daemonEnv] !== '1'
+        ) {
+          createConfigs(args.options);
+
+          return detach(args.options, argv);
+        }
+
+        return start(args.options);
+    }
+  }
+  catch (err) {
+    fail(err);
+  }
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = exports = { parseArgs, createConfigs };
@@ -1,10 +1,19 @@
 'use strict';
 
 const childprocess = require('child_process');
+const events = require('events');
 const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
 const chai = require('chai');
 const mocha = require('mocha');
+const RedisCluster = require('./RedisCluster');
+const RedisReplicaSet = require('./RedisReplicaSet');
+const RedisSentinel = require('./RedisSentinel');
 const RedisServer = require('./RedisServer');
+const manager = require('./bin/redis-server-manager');
 const expect = chai.expect;
 const after = mocha.after;
 const before = mocha.before;
@@ -48,6 +57,24 @@ const promisify = (delegate) =>
     });
   });
 
+/**
+ * Run redis-server-manager with given arguments and get its output once it
+ * exits.
+ * @argument {Array.<String>} args
+ * @return {Promise}
+ */
+const runManager = (args) => new Promise((resolve) => {
+  childprocess.execFile(
+    process.execPath,
+    [path.join(__dirname, 'bin', 'redis-server-manager.js')].concat(args),
+    (err, stdout, stderr) => resolve({
+      code: err === null ? 0 : err.code,
+      stdout,
+      stderr
+    })
+  );
+});
+
 /**
  * Expect a given {@linkcode server} to not be opening, closing, or running.
  * @argument {RedisServer} server
@@ -151,7 +178,8 @@ describe('RedisServer', () => {
   before(() => Promise.all([
     promisify((done) => childprocess.exec('rm -rf *.rdb', done)),
     promisify((done) => childprocess.exec('rm -rf *.log', done)),
-    promisify((done) => childprocess.exec('rm -rf *.conf', done))
+    promisify((done) => childprocess.exec('rm -rf *.conf', done)),
+    promisify((done) => childprocess.exec('rm -rf *.sock', done))
   ]));
   before((done) => {
     childprocess.exec('pkill redis-server', () => done());
@@ -176,13 +204,11 @@ describe('RedisServer', () => {
 
       expect(actualObject).to.eql(expectedObject);
     });
-    it('parses bin and conf only when conf is given', () => {
+    it('parses flags along with conf when conf is given', () => {
       const expectedObject = { bin, conf, port, slaveof };
       const actualObject = RedisServer.parseConfig(expectedObject);
 
-      expect(actualObject).to.have.property('bin').equal(expectedObject.bin);
-      expect(actualObject).to.have.property('conf').equal(expectedObject.conf);
-      expect(Object.keys(actualObject)).to.have.length(2);
+      expect(actualObject).to.eql(expectedObject);
     });
     it('works without arguments', () => {
       expect(RedisServer.parseConfig()).to.be.an('object');
@@ -207,6 +233,464 @@ describe('RedisServer', () => {
 
       expect(actualObject).to.eql(expectedObject);
     });
+    it('parses directives', () => {
+      const config = RedisServer.parseConfig({
+        config: {
+          'MaxMemory': '64mb',
+          'maxmemory-policy': 'allkeys-lru',
+          'appendonly': true,
+          'databases': 4,
+          'save': ['900 1', '300 10'],
+          'requirepass': '"top secret"',
+          'rename-command': [['FLUSHALL', '']],
+          'notify-keyspace-events': null
+        }
+      });
+
+      expect(config.config).to.eql({
+        'maxmemory': [['64mb']],
+        'maxmemory-policy': [['allkeys-lru']],
+        'appendonly': [['yes']],
+        'databases': [['4']],
+        'save': [['900', '1'], ['300', '10']],
+        'requirepass': [['top secret']],
+        'rename-command': [['FLUSHALL', '']]
+      });
+    });
+    it('parses directives given as conf', () => {
+      const config = RedisServer.parseConfig({
+        conf: { port, save: ['900 1', '300 10'] }
+      });
+
+      expect(config.conf).to.eql({
+        port: [[String(port)]],
+        save: [['900', '1'], ['300', '10']]
+      });
+    });
+    it('throws when given invalid directives', () => {
+      const values = [
+        'maxmemory 64mb',
+        ['maxmemory'],
+        { 'max memory': '64mb' },
+        { port },
+        { slaveof },
+        { maxmemory: {} },
+        { maxmemory: NaN },
+        { save: [['900', ['1']]] },
+        { requirepass: '"top secret' },
+        { requirepass: '"top"secret' }
+      ];
+
+      for (let config of values) {
+        expect(() => RedisServer.parseConfig({ config }))
+          .to.throw(TypeError);
+      }
+    });
+  });
+  describe('.parseArguments()', () => {
+    it('splits arguments on white space', () => {
+      expect(RedisServer.parseArguments(' 900  1\t')).to.eql(['900', '1']);
+      expect(RedisServer.parseArguments('')).to.eql([]);
+    });
+    it('parses quoted arguments', () => {
+      expect(RedisServer.parseArguments('"a b" \'c d\' ""'))
+        .to.eql(['a b', 'c d', '']);
+      expect(RedisServer.parseArguments('"\\"\\n\\x41" \'\\\'\\n\''))
+        .to.eql(['"\nA', '\'\\n']);
+    });
+    it('throws when given unbalanced quotes', () => {
+      expect(() => RedisServer.parseArguments('"a')).to.throw(TypeError);
+      expect(() => RedisServer.parseArguments('\'a"')).to.throw(TypeError);
+      expect(() => RedisServer.parseArguments('"a"b')).to.throw(TypeError);
+    });
+  });
+  describe('.formatConf()', () => {
+    it('formats a line per directive occurrence', () => {
+      const directives = RedisServer.parseDirectives({
+        'include': '/path/to/base.conf',
+        'port': port,
+        'save': ['900 1', '300 10'],
+        'rename-command': [['FLUSHALL', '']],
+        'loadmodule': [['/path/to/module.so', 'arg']]
+      }, []);
+
+      expect(RedisServer.formatConf(directives)).to.equal([
+        'include /path/to/base.conf',
+        `port ${port}`,
+        'save 900 1',
+        'save 300 10',
+        'rename-command FLUSHALL ""',
+        'loadmodule /path/to/module.so arg',
+        ''
+      ].join('\n'));
+    });
+    it('quotes arguments that Redis would split', () => {
+      const values = ['a b', '"a"', '\'', 'a\\b', 'a\nb\x01', ''];
+
+      for (let value of values) {
+        const line = RedisServer.formatConf({ requirepass: [[value]] });
+
+        expect(RedisServer.parseArguments(line)).to.eql(['requirepass', value]);
+      }
+    });
+  });
+  describe('.parseAddress()', () => {
+    it('parses a port', () => {
+      expect(RedisServer.parseAddress(
+        '4242:M 19 Oct 2026 06:00:00.000 * Running mode=standalone, port=6380.'
+      )).to.eql({ port: 6380 });
+    });
+    it('parses a Unix socket', () => {
+      expect(RedisServer.parseAddress(
+        '4242:M 19 Oct 2026 06:00:00.000 * The server is now ready to accept \
+        connections at /tmp/redis.sock'
+      )).to.eql({ socket: '/tmp/redis.sock' });
+    });
+    it('returns an empty object when given an unrecognized value', () => {
+      expect(RedisServer.parseAddress('invalid')).to.eql({});
+    });
+  });
+  describe('.parseInfo()', () => {
+    it('parses fields and ignores sections', () => {
+      expect(RedisServer.parseInfo(
+        '# Replication\r\nrole:slave\r\nmaster_host:127.0.0.1\r\n' +
+        'slave0:ip=127.0.0.1,port=6380,state=online\r\n\r\n'
+      )).to.eql({
+        role: 'slave',
+        master_host: '127.0.0.1',
+        slave0: 'ip=127.0.0.1,port=6380,state=online'
+      });
+    });
+  });
+  describe('.parseVersion()', () => {
+    it('parses build information', () => {
+      expect(RedisServer.parseVersion(
+        'Redis server v=7.2.4 sha=00000000:0 malloc=jemalloc-5.3.0 ' +
+        'bits=64 build=5f3e2a1b\n'
+      )).to.eql({
+        version: '7.2.4',
+        major: 7,
+        minor: 2,
+        patch: 4,
+        sha: '00000000:0',
+        malloc: 'jemalloc-5.3.0',
+        bits: 64
+      });
+    });
+    it('parses the format of Redis 2.4 and older', () => {
+      expect(RedisServer.parseVersion('Redis server version 2.4.10 (0:0)\n'))
+        .to.have.property('version').equal('2.4.10');
+    });
+    it('returns null when given an unrecognized value', () => {
+      expect(RedisServer.parseVersion('invalid')).to.equal(null);
+    });
+  });
+  describe('.parseVersionRange()', () => {
+    it('parses ranges that binaries are selected by', () => {
+      const cases = [
+        ['>=6.2 <8', ['6.2.0', '7.4.1'], ['6.0.16', '8.0.0']],
+        ['^6.2', ['6.2.0', '6.9.0'], ['6.1.9', '7.0.0']],
+        ['~6.2', ['6.2.14'], ['6.3.0']],
+        ['7.x', ['7.0.0', '7.4.1'], ['6.2.14', '8.0.0']],
+        ['6.2.14', ['6.2.14'], ['6.2.13']],
+        ['>6 <= 7.2', ['7.0.0', '7.2.4'], ['6.2.14', '7.4.0']],
+        ['6 || 8', ['6.0.0', '8.0.2'], ['7.2.4']],
+        ['*', ['2.8.0'], []]
+      ];
+
+      for (let c of cases) {
+        const range = RedisServer.parseVersionRange(c[0]);
+
+        for (let version of c[1]) {
+          expect(RedisServer.satisfiesVersion(version, range), c[0])
+            .to.equal(true);
+        }
+
+        for (let version of c[2]) {
+          expect(RedisServer.satisfiesVersion(version, range), c[0])
+            .to.equal(false);
+        }
+      }
+    });
+    it('throws when given an invalid range', () => {
+      for (let range of ['latest', '>=6.2.0.1', 6]) {
+        expect(() => RedisServer.parseVersionRange(range)).to.throw(TypeError);
+      }
+
+      expect(() => new RedisServer({ version: 'latest' })).to.throw(TypeError);
+    });
+  });
+  describe('.findUnsupported()', () => {
+    it('lists options and directives newer than a version', () => {
+      const version = RedisServer.parseVersion('v=4.0.14');
+      const config = RedisServer.parseConfig({
+        replicaof: '127.0.0.1 6379',
+        conf: { aclfile: 'users.acl' },
+        config: { maxmemory: '1mb', 'io-threads': 4 }
+      });
+
+      expect(RedisServer.findUnsupported(config, version)).to.eql([
+        'RedisServer~Config#replicaof (Redis 5.0.0; ' +
+          'use RedisServer~Config#slaveof)',
+        '"aclfile" (Redis 6.0.0)',
+        '"io-threads" (Redis 6.0.0)'
+      ]);
+      expect(RedisServer.findUnsupported(
+        config,
+        RedisServer.parseVersion('v=6.0.0')
+      )).to.eql([]);
+    });
+  });
+  describe('.parseLog()', () => {
+    it('parses a line in the Redis log format', () => {
+      const entry = RedisServer.parseLog(
+        '4242:M 19 Oct 2026 06:01:02.345 * Ready to accept connections tcp',
+        'stdout'
+      );
+
+      expect(entry).to.eql({
+        source: 'stdout',
+        line: '4242:M 19 Oct 2026 06:01:02.345 * Ready to accept connections tcp',
+        pid: 4242,
+        role: 'master',
+        time: new Date(2026, 9, 19, 6, 1, 2, 345),
+        level: 'notice',
+        message: 'Ready to accept connections tcp'
+      });
+    });
+    it('parses a line without a year', () => {
+      const entry = RedisServer.parseLog(
+        '26939:C 06 Jan 12:15:11.241 # Fatal error, can\'t open config file',
+        'stdout'
+      );
+
+      expect(entry.pid).to.equal(26939);
+      expect(entry.role).to.equal('child');
+      expect(entry.time.getFullYear()).to.equal(new Date().getFullYear());
+      expect(entry.time.getMonth()).to.equal(0);
+      expect(entry.time.getDate()).to.equal(6);
+      expect(entry.level).to.equal('warning');
+      expect(entry.message).to.equal('Fatal error, can\'t open config file');
+    });
+    it('parses roles and levels', () => {
+      const roles = { X: 'sentinel', C: 'child', S: 'replica', M: 'master' };
+      const levels = {
+        '.': 'debug',
+        '-': 'verbose',
+        '*': 'notice',
+        '#': 'warning'
+      };
+
+      for (let role of Object.keys(roles)) {
+        for (let level of Object.keys(levels)) {
+          const entry = RedisServer.parseLog(
+            `1:${role} 06 Jan 12:15:11.241 ${level} message`,
+            'stdout'
+          );
+
+          expect(entry.role).to.equal(roles[role]);
+          expect(entry.level).to.equal(levels[level]);
+        }
+      }
+    });
+    it('returns the line as a message when not in the Redis log format', () => {
+      const line = '*** FATAL CONFIG FILE ERROR (Redis 7.2.4) ***';
+
+      expect(RedisServer.parseLog(line, 'stderr')).to.eql({
+        source: 'stderr',
+        line,
+        pid: null,
+        role: null,
+        time: null,
+        level: null,
+        message: line
+      });
+    });
+  });
+  describe('.createExitError()', () => {
+    it('creates an error for an exit code', () => {
+      const err = RedisServer.createExitError(1, null, ['a', 'b']);
+
+      expect(err).to.be.an('error').with.property('code').equal(-4);
+      expect(err.message).to.equal(
+        'Redis server exited with code 1 before it was ready\na\nb'
+      );
+      expect(err.exitCode).to.equal(1);
+      expect(err.signal).to.equal(null);
+      expect(err.output).to.eql(['a', 'b']);
+    });
+    it('creates an error for a signal', () => {
+      const err = RedisServer.createExitError(null, 'SIGKILL', []);
+
+      expect(err.message).to.equal(
+        'Redis server was killed with signal SIGKILL before it was ready'
+      );
+      expect(err.exitCode).to.equal(null);
+      expect(err.signal).to.equal('SIGKILL');
+    });
+  });
+  describe('.encodeCommand()', () => {
+    it('encodes a command as an array of bulk strings', () => {
+      expect(RedisServer.encodeCommand(['SET', 'k', 'caf\u00e9'])).to.equal(
+        '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$5\r\ncaf\u00e9\r\n'
+      );
+    });
+  });
+  describe('.parseReply()', () => {
+    /**
+     * Parse a given RESP {@linkcode string} and get the resulting value.
+     * @argument {String} string
+     * @return {*}
+     */
+    const parse = (string) =>
+      RedisServer.parseReply(Buffer.from(string), 0).value;
+
+    it('parses RESP2 replies', () => {
+      expect(parse('+OK\r\n')).to.equal('OK');
+      expect(parse(':-42\r\n')).to.equal(-42);
+      expect(parse('$5\r\na\r\nbc\r\n')).to.equal('a\r\nbc');
+      expect(parse('$-1\r\n')).to.equal(null);
+      expect(parse('*-1\r\n')).to.equal(null);
+      expect(parse('*2\r\n:1\r\n*1\r\n+a\r\n')).to.eql([1, ['a']]);
+    });
+    it('parses error replies', () => {
+      const err = parse('-ERR unknown command\r\n');
+
+      expect(err).to.be.an('error').with.property('code').equal(-7);
+      expect(err.message).to.equal('ERR unknown command');
+      expect(parse('!3\r\nERR\r\n')).to.be.an('error');
+    });
+    it('parses RESP3 replies', () => {
+      expect(parse('_\r\n')).to.equal(null);
+      expect(parse('#t\r\n')).to.equal(true);
+      expect(parse('#f\r\n')).to.equal(false);
+      expect(parse(',1.5\r\n')).to.equal(1.5);
+      expect(parse(',-inf\r\n')).to.equal(-Infinity);
+      expect(parse('(12345678901234567890\r\n')).to.equal(
+        '12345678901234567890'
+      );
+      expect(parse('=7\r\ntxt:abc\r\n')).to.equal('abc');
+      expect(parse('~2\r\n+a\r\n+b\r\n')).to.eql(['a', 'b']);
+      expect(parse('%2\r\n+a\r\n:1\r\n+b\r\n_\r\n')).to.eql({
+        a: 1,
+        b: null
+      });
+      expect(parse('|1\r\n+ttl\r\n:3\r\n+OK\r\n')).to.equal('OK');
+    });
+    it('returns the offset following a reply', () => {
+      const buffer = Buffer.from('+A\r\n:1\r\n');
+
+      expect(RedisServer.parseReply(buffer, 0)).to.eql({
+        type: '+',
+        value: 'A',
+        offset: 4
+      });
+      expect(RedisServer.parseReply(buffer, 4).offset).to.equal(8);
+    });
+    it('returns null for an incomplete reply', () => {
+      for (let string of ['', '+OK', '$5\r\nab', '*2\r\n:1\r\n']) {
+        expect(RedisServer.parseReply(Buffer.from(string), 0)).to.equal(null);
+      }
+    });
+    it('throws for an invalid reply', () => {
+      expect(() => RedisServer.parseReply(Buffer.from('?\r\n'), 0))
+        .to.throw(Error);
+      expect(() => RedisServer.parseReply(Buffer.from('*?\r\n'), 0))
+        .to.throw(Error);
+    });
+  });
+  describe('.createConnection()', () => {
+    it('creates a connection for a TCP port', () => {
+      const server = new RedisServer(port);
+
+      server.port = port;
+
+      expect(RedisServer.createConnection(server, {})).to.eql({
+        host: '127.0.0.1',
+        port,
+        socket: null,
+        password: null,
+        url: `redis://127.0.0.1:${port}`
+      });
+    });
+    it('creates a connection with a bind address and a password', () => {
+      const server = new RedisServer({
+        port,
+        config: { bind: '::1 127.0.0.1', requirepass: '"p@ss word"' }
+      });
+
+      server.port = port;
+
+      expect(RedisServer.createConnection(server, {})).to.eql({
+        host: '::1',
+        port,
+        socket: null,
+        password: 'p@ss word',
+        url: `redis://:p%40ss%20word@[::1]:${port}`
+      });
+    });
+    it('creates a connection for a wildcard bind address', () => {
+      const values = {
+        '* -::*': '127.0.0.1',
+        '0.0.0.0': '127.0.0.1',
+        '-::*': '::1'
+      };
+
+      for (let bind of Object.keys(values)) {
+        const server = new RedisServer({ conf: { port, bind } });
+
+        server.port = port;
+
+        expect(RedisServer.createConnection(server, {}))
+          .to.have.property('host')
+          .equal(values[bind]);
+      }
+    });
+    it('creates a connection for a Unix socket', () => {
+      const server = new RedisServer({ conf: { unixsocket: 'redis.sock' } });
+
+      expect(RedisServer.createConnection(server, {})).to.eql({
+        host: null,
+        port: null,
+        socket: 'redis.sock',
+        password: null,
+        url: null
+      });
+      server.config.conf = conf;
+      expect(RedisServer.createConnection(server, { socket: 'a.sock' }))
+        .to.have.property('socket')
+        .equal('a.sock');
+    });
+    it('creates a connection from a configuration file path', () => {
+      const file = path.join(os.tmpdir(), `redis-${process.pid}-a.conf`);
+      const included = path.join(os.tmpdir(), `redis-${process.pid}-b.conf`);
+      const server = new RedisServer({ conf: file, port });
+
+      fs.writeFileSync(file, `# bind 0.0.0.0\ninclude ${included}\n`);
+      fs.writeFileSync(included, 'bind 127.0.0.2\nrequirepass "p@ss word"\n');
+      server.port = port;
+
+      try {
+        expect(RedisServer.createConnection(server, {})).to.eql({
+          host: '127.0.0.2',
+          port,
+          socket: null,
+          password: 'p@ss word',
+          url: `redis://:p%40ss%20word@127.0.0.2:${port}`
+        });
+        server.config.config = RedisServer.parseDirectives(
+          { bind: '127.0.0.3' },
+          []
+        );
+        expect(RedisServer.createConnection(server, {}))
+          .to.have.property('host')
+          .equal('127.0.0.3');
+      }
+      finally {
+        fs.unlinkSync(file);
+        fs.unlinkSync(included);
+      }
+    });
   });
   describe('.parseFlags()', () => {
     it('returns an empty array when given an empty object', () => {
@@ -222,10 +706,72 @@ describe('RedisServer', () => {
 
       expect(actualFlags).to.eql(expectedFlags);
     });
-    it('returns only conf when present', () => {
+    it('parses replicaof', () => {
+      const config = RedisServer.parseConfig({ port, replicaof: slaveof });
+
+      expect(RedisServer.parseFlags(config)).to.eql([
+        `--port ${port}`,
+        `--replicaof ${slaveof}`
+      ]);
+    });
+    it('parses directives', () => {
+      const config = RedisServer.parseConfig({
+        port,
+        config: {
+          'maxmemory': '64mb',
+          'save': ['900 1', '300 10'],
+          'requirepass': '"top secret"',
+          'rename-command': [['FLUSHALL', '']]
+        }
+      });
+
+      expect(RedisServer.parseFlags(config)).to.eql([
+        `--port ${port}`,
+        '--maxmemory',
+        '64mb',
+        '--save',
+        '900',
+        '1',
+        '--save',
+        '300',
+        '10',
+        '--requirepass',
+        'top secret',
+        '--rename-command',
+        'FLUSHALL',
+        ''
+      ]);
+    });
+    it('passes dir as a separate argument', () => {
+      const config = { port, dir: '/path/to/data dir' };
+
+      expect(RedisServer.parseFlags(config)).to.eql([
+        `--port ${config.port}`,
+        '--dir',
+        config.dir
+      ]);
+    });
+    it('parses Unix socket flags', () => {
+      const config = { port: false, socket: 'redis.sock', socketPerm: 0o770 };
+
+      expect(RedisServer.parseFlags(config)).to.eql([
+        '--port 0',
+        '--unixsocket',
+        config.socket,
+        '--unixsocketperm',
+        '770'
+      ]);
+      config.socketPerm = '700';
+      expect(RedisServer.parseFlags(config).pop()).to.equal('700');
+    });
+    it('returns conf before other flags when present', () => {
       const config = { bin, conf, port, slaveof };
 
-      expect(RedisServer.parseFlags(config)).to.eql([config.conf]);
+      expect(RedisServer.parseFlags(config)).to.eql([
+        config.conf,
+        `--port ${config.port}`,
+        `--slaveof ${config.slaveof}`
+      ]);
     });
   });
   describe('.parseData()', () => {
@@ -288,6 +834,31 @@ describe('RedisServer', () => {
       expect(result).to.be.an('object').and.have.property('err');
       expect(result.err).be.an('error').with.property('code').equal(-3);
     });
+    it('parses an error that is not in a "# <message>" line', () => {
+      const line = '1:M 19 Oct 2026 06:00:00.000 * Loading error-free RDB';
+      const result = RedisServer.parseData(line);
+
+      expect(result).to.be.an('object').and.have.property('err');
+      expect(result.err).be.an('error').with.property('code').equal(-3);
+      expect(result.err.message).to.equal(line);
+    });
+    it('parses a "Unix socket" error', () => {
+      const messages = {
+        '-1': 'Opening Unix socket: bind: Address already in use',
+        '-2': 'Opening Unix socket: bind: Permission denied',
+        '-3': 'Failed opening Unix socket: bind: No such file or directory'
+      };
+
+      for (let code of Object.keys(messages)) {
+        const result = RedisServer.parseData(
+          `4242:M 19 Oct 2026 06:00:00.000 # ${messages[code]}`
+        );
+
+        expect(result).to.be.an('object').and.have.property('err');
+        expect(result.err).be.an('error').with.property('code').equal(+code);
+        expect(result.err.message).to.match(/^Failed opening Unix socket/);
+      }
+    });
     it('returns `null` when given an unrecognized value', () => {
       const values = ['invalid', '', null, undefined, {}, 1234];
 
@@ -296,6 +867,132 @@ describe('RedisServer', () => {
       }
     });
   });
+  describe('.resolveBin()', () => {
+    it('finds a binary in $PATH', () =>
+      RedisServer.resolveBin('redis-server').then((path) => {
+        expect(path).to.equal(bin);
+      }));
+    it('finds a binary by path', () =>
+      RedisServer.resolveBin(bin).then((path) => {
+        expect(path).to.equal(bin);
+      }));
+    it('rejects when a binary is not found', () =>
+      RedisServer.resolveBin('redis-server-fubar').then(() => {
+        throw new Error('Expected a rejection');
+      }, (err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-5);
+        expect(err.cause).to.have.property('code').equal('ENOENT');
+      }));
+    it('rejects when a binary is not executable', () =>
+      RedisServer.resolveBin(`./${conf}`).then(() => {
+        throw new Error('Expected a rejection');
+      }, (err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-5);
+        expect(err.cause).to.have.property('code').equal('EACCES');
+      }));
+  });
+  describe('.version()', () => {
+    it('resolves build information of a binary and caches it', () => {
+      const promise = RedisServer.version('redis-server');
+
+      expect(RedisServer.version('redis-server')).to.equal(promise);
+
+      return promise.then((version) => {
+        expect(version).to.have.property('version').match(/^\d+\.\d+\.\d+$/);
+        expect(version).to.have.property('major').a('number');
+      });
+    });
+    it('fails when a binary is not found', () => RedisServer
+      .version('redis-server-fubar')
+      .then(() => {
+        throw new Error('Expected a rejection');
+      }, (err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-5);
+      }));
+  });
+  describe('.findBins()', () => {
+    it('finds binaries in $PATH and $REDIS_SERVER_BIN', () => {
+      const dir = `${generateRandomPort()}-bin`;
+      const listed = `${process.cwd()}/${dir}/redis-server-6`;
+      const env = process.env.REDIS_SERVER_BIN;
+
+      fs.mkdirSync(dir);
+      fs.writeFileSync(listed, '#!/bin/sh\n', { mode: 0o755 });
+      process.env.REDIS_SERVER_BIN = listed;
+
+      return RedisServer
+        .findBins('redis-server')
+        .then((bins) => {
+          expect(bins[0]).to.equal(bin);
+          expect(bins).to.contain(listed);
+          expect(bins.filter((file) => file === bin)).to.have.length(1);
+        })
+        .then(() => null, (err) => err)
+        .then((err) => {
+          process.env.REDIS_SERVER_BIN = env === undefined ? '' : env;
+          fs.unlinkSync(listed);
+          fs.rmdirSync(dir);
+
+          if (err !== null) {
+            throw err;
+          }
+        });
+    });
+  });
+  describe('.createWrapperBackend()', () => {
+    it('throws when given no command', () => {
+      expect(() => RedisServer.createWrapperBackend('')).to.throw(TypeError);
+      expect(() => RedisServer.createWrapperBackend([])).to.throw(TypeError);
+    });
+  });
+  describe('.createDockerBackend()', () => {
+    /**
+     * Get the arguments that a Docker backend with given {@linkcode options}
+     * passes to the Docker CLI, using {@linkcode echo} in its place.
+     * @argument {RedisServer~DockerOptions} options
+     * @argument {RedisServer~Config} config
+     * @return {Promise}
+     */
+    const getArgs = (options, config) => new Promise((resolve) => {
+      const backend = RedisServer.createDockerBackend(
+        Object.assign({ command: 'echo' }, options)
+      );
+      const child = backend.spawn('redis-server', ['--port', '7000'], {
+        config
+      });
+      let stdout = '';
+
+      child.stdout.on('data', (data) => {
+        stdout += data;
+      });
+      child.on('close', () => resolve(stdout.trim()));
+    });
+
+    it('runs a container of a tag with mounted directories', () => {
+      const cwd = process.cwd();
+
+      return getArgs(
+        { tag: '7.2', args: ['--memory', '64m'] },
+        { port: 7000, dir: '/tmp/redis-data', conf: null, socket: null }
+      ).then((args) => {
+        expect(args).to.match(/^run --rm -i --name redis-server-\S+ /);
+        expect(args).to.contain(' --network host ');
+        expect(args).to.not.contain('--publish');
+        expect(args).to.contain(` --volume ${cwd}:${cwd} `);
+        expect(args).to.contain(' --volume /tmp/redis-data:/tmp/redis-data ');
+        expect(args).to.contain(
+          ` --workdir ${cwd} --memory 64m redis:7.2 redis-server --port 7000`
+        );
+      });
+    });
+    it('publishes the port unless the network is the host', () => getArgs(
+      { network: 'bridge' },
+      { port: 7000, dir: null, conf: null, socket: null }
+    ).then((args) => {
+      expect(args).to.contain(' --network bridge --publish 7000:7000 ');
+      expect(args).to.contain(' redis:latest redis-server --port 7000');
+    }));
+  });
   describe('#constructor()', () => {
     it('constructs a new instance', () => {
       const server = new RedisServer();
@@ -331,7 +1028,7 @@ describe('RedisServer', () => {
 
       return expectToOpen(server, (err, res) => {
         expect(err).to.equal(null);
-        expect(res).to.equal(null);
+        expect(res).to.equal(server.connection).and.not.equal(null);
         expectRunning(server);
 
         return server.close();
@@ -350,7 +1047,7 @@ describe('RedisServer', () => {
 
       return expectToOpen(server).then((res) => {
         expectRunning(server);
-        expect(res).to.equal(null);
+        expect(res).to.equal(server.connection).and.not.equal(null);
 
         return server.close();
       });
@@ -471,179 +1168,284 @@ describe('RedisServer', () => {
 
       return expectToOpen(server).then(() => {
         expect(actualPort).to.equal(expectedPort);
+        expect(server.port).to.equal(expectedPort);
 
         return server.close();
       });
     });
+    it('should resolve with the connection of a running server', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then((connection) => server.open().then((res) => {
+          expect(res).to.equal(connection);
+          expect(connection.url).to.equal(`redis://127.0.0.1:${server.port}`);
+
+          return server.close();
+        }))
+        .then(() => {
+          expect(server.connection).to.equal(null);
+        });
+    });
+    it('should start a server with a free port', () => {
+      const servers = [new RedisServer('auto'), new RedisServer({ port: 0 })];
+
+      return Promise
+        .all(servers.map((server) => {
+          let actualPort = null;
+
+          parsePort(server, (port) => actualPort = port);
+
+          return expectToOpen(server).then(() => {
+            expect(server.port).to.be.a('number').and.equal(actualPort);
+          });
+        }))
+        .then(() => Promise.all(servers.map((server) => server.close())))
+        .then(() => {
+          for (let server of servers) {
+            expect(server.port).to.equal(null);
+          }
+        });
+    });
+    it('should retry with another free port when one is taken', () => {
+      const findPort = RedisServer.findPort;
+      const takenPort = generateRandomPort();
+      const server1 = new RedisServer(takenPort);
+      const server2 = new RedisServer('auto');
+      let findPortCount = 0;
+      let openingCount = 0;
+
+      RedisServer.findPort = () =>
+        ++findPortCount === 1 ? Promise.resolve(takenPort) : findPort();
+
+      server2.on('opening', () => ++openingCount);
+
+      return server1
+        .open()
+        .then(() => server2.open())
+        .then(() => {
+          RedisServer.findPort = findPort;
+
+          expect(findPortCount).to.equal(2);
+          expect(openingCount).to.equal(2);
+          expect(server2.port).to.be.a('number').and.not.equal(takenPort);
+          expectRunning(server2);
+
+          return Promise.all([server1.close(), server2.close()]);
+        }, (err) => {
+          RedisServer.findPort = findPort;
+
+          throw err;
+        });
+    });
     it('should start a server with a given Redis conf', () => {
       const server = new RedisServer({ conf });
       let actualPort = null;
 
       parsePort(server, (port) => actualPort = port);
 
-      return expectToOpen(server).then(() => {
+      return expectToOpen(server).then((connection) => {
         expect(actualPort).to.equal(port);
+        expect(server.port).to.equal(port);
+        expect(connection).to.have.property('url').equal(
+          `redis://127.0.0.1:${port}`
+        );
 
         return server.close();
       });
     });
-    it('fails to start a server with a bad "dir" line Redis conf', () => {
-      const port = generateRandomPort();
-      const conf = `${port}.conf`;
-      const server = new RedisServer({ conf });
+    it('should start a server with a given Redis conf and port', () => {
+      const expectedPort = generateRandomPort();
+      const server = new RedisServer({ conf, port: expectedPort });
+      let actualPort = null;
 
-      return createConf({ port, bind, dir: 'bad/dir/path' }, conf)
-        .then(() => server.open((err) => {
-          expect(err).to.be.an('error').to.have.property('code').equal(-3);
-        }))
-        .then(() => server.close());
-    });
-    it('should start a server with a given Redis binary', () => {
-      const server = new RedisServer({ bin, port });
+      parsePort(server, (port) => actualPort = port);
 
-      return expectToOpen(server).then(() => server.close());
+      return expectToOpen(server).then(() => {
+        expect(actualPort).to.equal(expectedPort);
+
+        return server.close();
+      });
     });
-    it('should start a server after #close() finishes', () => {
-      const server = new RedisServer(generateRandomPort());
+    it('should start a server with a generated Redis conf', () => {
+      const expectedPort = generateRandomPort();
+      const server = new RedisServer({
+        conf: { port: expectedPort, bind, save: '' }
+      });
+      let actualPort = null;
+      let confPath = null;
 
-      return Promise
-        .all([
-          server.open(),
-          promisify((done) => setTimeout(() => server.close(done), 10)),
-          promisify((done) => setTimeout(() => server.open(done), 15)),
-          promisify((done) => setTimeout(() => server.close(done), 20)),
-          promisify((done) => setTimeout(() => server.open(done), 25))
-        ])
+      parsePort(server, (port) => actualPort = port);
+
+      return expectToOpen(server)
         .then(() => {
-          expectRunning(server);
+          confPath = server.confPath;
+
+          expect(actualPort).to.equal(expectedPort);
+          expect(fs.readFileSync(confPath, 'utf8')).to.equal(
+            `port ${expectedPort}\nbind ${bind}\nsave ""\n`
+          );
 
           return server.close();
+        })
+        .then(() => {
+          expect(server.confPath).to.equal(null);
+          expect(fs.existsSync(confPath)).to.equal(false);
         });
     });
-    it('should start a server while others run on different ports', () => {
-      const server1 = new RedisServer(generateRandomPort());
-      const server2 = new RedisServer(generateRandomPort());
-      const server3 = new RedisServer(generateRandomPort());
+    it('should start a server with a temporary data directory', () => {
+      const server = new RedisServer({ port: 'auto', dir: true });
+      let dir = null;
 
-      return Promise
-        .all([
-          server1.open(),
-          server2.open(),
-          server3.open()
-        ])
+      expect(server.dir).to.equal(null);
+
+      return expectToOpen(server)
         .then(() => {
-          expectRunning(server1);
-          expectRunning(server2);
-          expectRunning(server3);
-        })
-        .then(() => Promise.all([
-          server1.close(),
-          server2.close(),
-          server3.close()
-        ]));
-    });
-    it('emits "opening" and "open" when starting a server', () => {
-      const server = new RedisServer(generateRandomPort());
-      let openingCount = 0;
-      let openCount = 0;
+          dir = server.dir;
 
-      server.on('opening', () => ++openingCount);
-      server.on('open', () => ++openCount);
+          expect(dir).to.be.a('string');
+          expect(fs.statSync(dir).isDirectory()).to.equal(true);
+          fs.mkdirSync(`${dir}/appendonlydir`);
+          fs.writeFileSync(`${dir}/appendonlydir/appendonly.aof`, '');
 
-      return server
-        .open()
-        .then(() => server.close())
-        .then(() => server.open())
-        .then(() => server.open())
-        .then(() => server.close())
+          return server.close();
+        })
         .then(() => {
-          expect(openingCount).to.equal(2);
-          expect(openCount).to.equal(2);
+          expect(server.dir).to.equal(null);
+          expect(fs.existsSync(dir)).to.equal(false);
         });
     });
-    it('emits "closing" and "close" when failing to start a server', () => {
-      const server = new RedisServer('badport');
-      let closingCount = 0;
-      let closeCount = 0;
-
-      server.on('closing', () => ++closingCount);
-      server.on('close', () => ++closeCount);
+    it('should keep a temporary data directory when told to', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        dir: true,
+        keepDir: true
+      });
+      let dir = null;
 
       return server
-        .open((err) => {
-          expect(err).to.be.an('error').and.have.property('code').equal(-3);
+        .open()
+        .then(() => {
+          dir = server.dir;
+
+          return server.close();
         })
-        .then(() => server.open((err) => {
-          expect(err).to.be.an('error').and.have.property('code').equal(-3);
-        }))
+        .then(() => server.open())
         .then(() => {
-          expect(closingCount).to.equal(2);
-          expect(closeCount).to.equal(2);
+          expect(server.dir).to.equal(dir);
 
           return server.close();
+        })
+        .then(() => {
+          expect(server.dir).to.equal(dir);
+          expect(fs.statSync(dir).isDirectory()).to.equal(true);
+          RedisServer.removeTree(dir);
         });
     });
-  });
-  describe('#close()', () => {
-    it('should close a server and execute a callback', () => {
-      const server = new RedisServer(generateRandomPort());
+    it('should start a server with a given data directory', () => {
+      const dir = `${generateRandomPort()}.dir`;
+      const server = new RedisServer({ port: 'auto', dir });
+
+      fs.mkdirSync(dir);
+      expect(server.dir).to.equal(dir);
 
       return server
         .open()
-        .then(() => promisify((done) => expectToClose(server, done)));
-    });
-    it('should close a server and resolve a promise', () => {
-      const server = new RedisServer(generateRandomPort());
-
-      return server.open().then(() => expectToClose(server));
+        .then(() => server.close())
+        .then(() => {
+          expect(server.dir).to.equal(dir);
+          expect(fs.statSync(dir).isDirectory()).to.equal(true);
+          RedisServer.removeTree(dir);
+        });
     });
-    it('should report any error when applicable', () => {
-      const server = new RedisServer(generateRandomPort());
-      const close = RedisServer.close;
+    it('should start a server with a temporary Unix socket only', () => {
+      const server = new RedisServer({ port: false, socket: true });
+      let socket = null;
 
-      RedisServer.close = () =>
-        Promise.reject(new Error());
+      expect(server.socket).to.equal(null);
 
-      return server
-        .open()
-        .then(() => server.close((err, res) => {
-          RedisServer.close = close;
+      return expectToOpen(server)
+        .then((connection) => {
+          socket = server.socket;
 
-          expect(err).to.be.an('error');
-          expect(res).to.equal(null);
+          expect(server.port).to.equal(null);
+          expect(connection).to.eql({
+            host: null,
+            port: null,
+            socket,
+            password: null,
+            url: null
+          });
+          expect(fs.statSync(socket).isSocket()).to.equal(true);
 
           return server.close();
-        }));
+        })
+        .then(() => {
+          expect(server.socket).to.equal(null);
+          expect(fs.existsSync(socket)).to.equal(false);
+        });
     });
-    it('should do nothing when a server is already stopping', () => {
-      const server = new RedisServer(generateRandomPort());
+    it('should start a server with a given Unix socket', () => {
+      const socket = `${generateRandomPort()}.sock`;
+      const server = new RedisServer({
+        port: 'auto',
+        socket,
+        socketPerm: 0o700
+      });
 
-      return server.open().then(() => {
-        expect(server.close()).to.equal(server.close());
+      expect(server.socket).to.equal(socket);
 
-        return server.close();
-      });
-    });
-    it('should do nothing when a server is already stopped', () => {
-      const server = new RedisServer(generateRandomPort());
+      return expectToOpen(server)
+        .then(() => {
+          expect(server.port).to.be.a('number');
+          expect(fs.statSync(socket).isSocket()).to.equal(true);
 
-      return server
-        .open()
-        .then(() => server.close())
+          return server.close();
+        })
         .then(() => {
-          server.close();
-          expect(server.isClosing).to.equal(false);
-          expectIdle(server);
+          expect(server.socket).to.equal(socket);
         });
     });
-    it('should do nothing when a server was never started', () => {
-      const server = new RedisServer();
+    it('fails to start a server with a bad Unix socket path', () => {
+      const server = new RedisServer({
+        port: false,
+        socket: 'bad/dir/path/redis.sock'
+      });
 
-      server.close();
-      expect(server.isClosing).to.equal(false);
-      expectIdle(server);
+      return server.open((err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-3);
+      });
     });
-    it('should stop a server after #open() finishes', () => {
+    it('fails to start a server with a bad "dir" line Redis conf', () => {
+      const port = generateRandomPort();
+      const conf = `${port}.conf`;
+      const server = new RedisServer({ conf });
+
+      return createConf({ port, bind, dir: 'bad/dir/path' }, conf)
+        .then(() => server.open((err) => {
+          expect(err).to.be.an('error').to.have.property('code').equal(-3);
+        }))
+        .then(() => server.close());
+    });
+    it('should start a server with given directives', () => {
+      const server = new RedisServer({
+        port: generateRandomPort(),
+        config: {
+          maxmemory: '64mb',
+          save: ['900 1', '300 10'],
+          appendonly: false
+        }
+      });
+
+      return expectToOpen(server).then(() => server.close());
+    });
+    it('should start a server with a given Redis binary', () => {
+      const server = new RedisServer({ bin, port });
+
+      return expectToOpen(server).then(() => server.close());
+    });
+    it('should start a server after #close() finishes', () => {
       const server = new RedisServer(generateRandomPort());
 
       return Promise
@@ -651,158 +1453,2665 @@ describe('RedisServer', () => {
           server.open(),
           promisify((done) => setTimeout(() => server.close(done), 10)),
           promisify((done) => setTimeout(() => server.open(done), 15)),
-          promisify((done) => setTimeout(() => server.close(done), 20))
+          promisify((done) => setTimeout(() => server.close(done), 20)),
+          promisify((done) => setTimeout(() => server.open(done), 25))
         ])
         .then(() => {
-          expectIdle(server);
+          expectRunning(server);
+
+          return server.close();
         });
     });
-    it('emits "closing" and "close" when stopping a server', () => {
+    it('should start a server while others run on different ports', () => {
+      const server1 = new RedisServer(generateRandomPort());
+      const server2 = new RedisServer(generateRandomPort());
+      const server3 = new RedisServer(generateRandomPort());
+
+      return Promise
+        .all([
+          server1.open(),
+          server2.open(),
+          server3.open()
+        ])
+        .then(() => {
+          expectRunning(server1);
+          expectRunning(server2);
+          expectRunning(server3);
+        })
+        .then(() => Promise.all([
+          server1.close(),
+          server2.close(),
+          server3.close()
+        ]));
+    });
+    it('emits "opening" and "open" when starting a server', () => {
       const server = new RedisServer(generateRandomPort());
-      let closingCount = 0;
-      let closeCount = 0;
+      let openingCount = 0;
+      let openCount = 0;
 
-      server.on('closing', () => ++closingCount);
-      server.on('close', () => ++closeCount);
+      server.on('opening', () => ++openingCount);
+      server.on('open', () => ++openCount);
 
       return server
         .open()
         .then(() => server.close())
         .then(() => server.open())
-        .then(() => server.close())
+        .then(() => server.open())
         .then(() => server.close())
         .then(() => {
-          expect(closingCount).to.equal(2);
-          expect(closeCount).to.equal(2);
+          expect(openingCount).to.equal(2);
+          expect(openCount).to.equal(2);
         });
     });
-  });
-  describe('#isOpening', () => {
-    it('is `true` while a server is starting', () => {
-      const server = new RedisServer(generateRandomPort());
+    it('emits "log" for each line printed by a server', () => {
+      const server = new RedisServer('auto');
+      const entries = [];
+      let pid = null;
 
-      expect(server.isOpening).to.equal(false);
-      server.open();
-      expect(server.isOpening).to.equal(true);
+      server.on('log', (entry) => entries.push(entry));
+      server.on('open', () => pid = server.process.pid);
 
       return server
         .open()
         .then(() => {
-          expect(server.isOpening).to.equal(false);
-          server.close();
-          expect(server.isOpening).to.equal(false);
+          const entry = entries
+            .filter((entry) => /ready to accept/i.test(entry.message))
+            .shift();
+
+          expect(entry).to.have.property('source').equal('stdout');
+          expect(entry).to.have.property('pid').equal(pid);
+          expect(entry).to.have.property('role').equal('master');
+          expect(entry).to.have.property('level').equal('notice');
+
+          for (let entry of entries) {
+            expect(entry.line).to.not.contain('\n');
+          }
 
           return server.close();
-        })
-        .then(() => {
-          expect(server.isOpening).to.equal(false);
         });
     });
-    it('is `true` while a misconfigured server is starting', () => {
-      const server = new RedisServer('badport');
+    it('fails when a binary is not found', () => {
+      const server = new RedisServer({ bin: 'bad/bin/path/redis-server' });
+      let closeCount = 0;
 
-      expect(server.isOpening).to.equal(false);
-      server.open();
-      expect(server.isOpening).to.equal(true);
+      server.on('close', () => ++closeCount);
+
+      return server.open((err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-5);
+        expect(err.message).to.contain('bad/bin/path/redis-server');
+        expect(err.cause).to.have.property('code').equal('ENOENT');
+        expect(closeCount).to.equal(1);
+        expectIdle(server);
+      });
+    });
+    it('fails when a binary is not executable', () => {
+      const server = new RedisServer({ bin: `./${conf}` });
+
+      return server.open((err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-5);
+        expect(err.cause).to.have.property('code').equal('EACCES');
+        expectIdle(server);
+      });
+    });
+    it('checks for a binary before spawning when told to', () => {
+      const server = new RedisServer({
+        bin: 'redis-server-fubar',
+        checkBin: true
+      });
+      let openingCount = 0;
+
+      server.on('opening', () => ++openingCount);
+
+      return server.open((err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-5);
+        expect(openingCount).to.equal(0);
+        expectIdle(server);
+
+        return server.open();
+      }).then(() => {
+        throw new Error('Expected a rejection');
+      }, (err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-5);
+      });
+    });
+    it('should start a server with a binary found in $PATH', () => {
+      const server = new RedisServer({ port: 'auto', checkBin: true });
+
+      return expectToOpen(server).then(() => server.close());
+    });
+    it('should start a server with a binary selected by version', () => {
+      const dir = `${process.cwd()}/${generateRandomPort()}-bin`;
+      const env = process.env.REDIS_SERVER_BIN;
+      const bins = ['5.0.14', '6.2.99'].map((version) => {
+        const file = `${dir}/${version}`;
+
+        return {
+          file,
+          data: '#!/bin/sh\nif [ "$1" = --version ]; then\n' +
+            `  echo "Redis server v=${version} sha=00000000:0 bits=64"\n` +
+            `  exit 0\nfi\nexec ${bin} "$@"\n`
+        };
+      });
+      const server = new RedisServer({
+        bin: 'redis-server-fubar',
+        port: 'auto',
+        version: '>=6.2 <6.3'
+      });
+      const failingServer = new RedisServer({
+        bin: 'redis-server-fubar',
+        port: 'auto',
+        version: '^7'
+      });
+
+      fs.mkdirSync(dir);
+
+      for (let b of bins) {
+        fs.writeFileSync(b.file, b.data, { mode: 0o755 });
+      }
+
+      process.env.REDIS_SERVER_BIN = bins.map((b) => b.file).join(':');
 
       return server
-        .open((err) => {
-          expect(err).to.be.an('error').and.have.property('code').equal(-3);
-          expect(server.isOpening).to.equal(false);
-          server.close();
-          expect(server.isOpening).to.equal(false);
+        .open()
+        .then(() => {
+          expect(server.bin).to.equal(bins[1].file);
+          expect(server.version).to.have.property('version').equal('6.2.99');
 
           return server.close();
         })
+        .then(() => failingServer.open())
         .then(() => {
-          expect(server.isOpening).to.equal(false);
+          throw new Error('Expected a rejection');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-9);
+          expect(err.message).to.contain(`${bins[0].file} (5.0.14)`);
+          expect(err.candidates).to.have.length(2);
+          expectIdle(failingServer);
+        })
+        .then(() => null, (err) => err)
+        .then((err) => {
+          process.env.REDIS_SERVER_BIN = env === undefined ? '' : env;
+
+          for (let b of bins) {
+            fs.unlinkSync(b.file);
+          }
+
+          fs.rmdirSync(dir);
+
+          if (err !== null) {
+            throw err;
+          }
         });
     });
-  });
-  describe('#isClosing', () => {
-    it('is `true` while a server is stopping', () => {
-      const server = new RedisServer(generateRandomPort());
-
-      expect(server.isClosing).to.equal(false);
-      server.open();
-      expect(server.isClosing).to.equal(false);
+    it('should start a server through a wrapper backend', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        backend: RedisServer.createWrapperBackend('env REDIS_WRAPPED=1')
+      });
 
       return server
         .open()
         .then(() => {
-          expect(server.isClosing).to.equal(false);
-          server.close();
-          expect(server.isClosing).to.equal(true);
+          expect(server.process.spawnargs.slice(0, 3))
+            .to.eql(['env', 'REDIS_WRAPPED=1', 'redis-server']);
 
           return server.close();
         })
-        .then(() => {
-          expect(server.isClosing).to.equal(false);
-        });
+        .then(() => expectIdle(server));
     });
-    it('is `true` when a server fails to start', () => {
-      const server = new RedisServer('badport');
-      let isClosing = false;
+    it('should start a server through a given backend', () => {
+      const calls = [];
+      const backend = {
+        name: 'test',
+        local: false,
 
-      server.on('closing', () => isClosing = server.isClosing);
-      expect(server.isClosing).to.equal(false);
-      server.open();
-      expect(server.isClosing).to.equal(false);
+        /**
+         * Record a call and spawn a local binary.
+         * @argument {String} bin
+         * @argument {Array.<String>} args
+         * @argument {RedisServer~SpawnOptions} options
+         * @return {ChildProcess}
+         */
+        spawn(bin, args, options) {
+          calls.push({ bin, args, options });
+
+          return childprocess.spawn(bin, args);
+        }
+      };
+      const server = new RedisServer({ bin, port: 'auto', backend });
 
       return server
-        .open((err) => {
-          expect(err).to.be.an('error').and.have.property('code').equal(-3);
-          expect(server.isClosing).to.equal(false);
-          expect(isClosing).to.equal(true);
-          server.close();
-          expect(server.isClosing).to.equal(false);
+        .open()
+        .then(() => {
+          expect(calls).to.have.length(2);
+          expect(calls[0].args).to.eql(['--version']);
+          expect(calls[1].bin).to.equal(bin);
+          expect(calls[1].options.config.port).to.equal(server.port);
+          expect(server.version).to.have.property('version').a('string');
 
           return server.close();
         })
+        .then(() => expectIdle(server));
+    });
+    it('retries a taken free port with a conf file and data directory', () => {
+      const calls = [];
+      const backend = {
+        name: 'test',
+        local: true,
+
+        /**
+         * Record a call and report the port as taken the first time.
+         * @argument {String} bin
+         * @argument {Array.<String>} args
+         * @argument {RedisServer~SpawnOptions} options
+         * @return {ChildProcess}
+         */
+        spawn(bin, args, options) {
+          if (args[0] === '--version') {
+            return childprocess.spawn(bin, args);
+          }
+
+          calls.push({
+            args,
+            hasConf: fs.existsSync(options.config.conf),
+            hasDir: fs.existsSync(options.config.dir)
+          });
+
+          if (calls.length === 1) {
+            const line = '1:M 01 Jan 2020 00:00:00.000 # Could not create ' +
+              'server TCP listening socket *:6379: bind: Address already in use';
+
+            return childprocess.spawn(process.execPath, [
+              '-e',
+              `console.log(${JSON.stringify(line)}); process.exit(1);`
+            ]);
+          }
+
+          return childprocess.spawn(bin, args);
+        }
+      };
+      const server = new RedisServer({
+        bin,
+        port: 'auto',
+        conf: { maxmemory: '64mb' },
+        dir: true,
+        backend
+      });
+
+      return server
+        .open()
         .then(() => {
-          expect(server.isClosing).to.equal(false);
+          expect(calls).to.have.length(2);
+
+          for (let call of calls) {
+            expect(call.args[0]).to.be.a('string').and.match(/\.conf$/);
+            expect(call.args).to.include('--dir');
+            expect(call.hasConf).to.equal(true);
+            expect(call.hasDir).to.equal(true);
+          }
+
+          expect(calls[1].args[calls[1].args.indexOf('--dir') + 1])
+            .to.equal(server.dir);
+
+          return server.close();
+        })
+        .then(() => expectIdle(server));
+    });
+    it('fails once when a server exits before it replies to PING', () => {
+      const rejections = [];
+
+      /**
+       * Keep an unhandled rejection.
+       * @argument {Error} err
+       * @return {undefined}
+       */
+      const listener = (err) => {
+        rejections.push(err);
+      };
+      const tcpServer = net.createServer(() => {
+        // Exit while PING is waiting for a reply.
+        child.emit('close', 1, null);
+      });
+      const child = new events.EventEmitter();
+      const backend = {
+        name: 'test',
+        local: false,
+
+        /**
+         * Report a Redis server ready on a port that never replies.
+         * @argument {String} bin
+         * @argument {Array.<String>} args
+         * @return {RedisServer~Process}
+         */
+        spawn(bin, args) {
+          if (args[0] === '--version') {
+            return childprocess.spawn(bin, args);
+          }
+
+          child.stdout = new stream.PassThrough();
+          child.stderr = new stream.PassThrough();
+          child.kill = () => true;
+          child.stdout.write([
+            `1:M 01 Jan 2020 00:00:00.000 * Running mode=standalone, port=${
+              tcpServer.address().port
+            }.`,
+            '1:M 01 Jan 2020 00:00:00.000 * Ready to accept connections tcp',
+            ''
+          ].join('\n'));
+
+          return child;
+        }
+      };
+      const server = new RedisServer({ bin, port: 'auto', backend });
+
+      process.on('unhandledRejection', listener);
+
+      return promisify((done) => tcpServer.listen(0, '127.0.0.1', done))
+        .then(() => server.open())
+        .then(() => {
+          throw new Error('expected open() to fail');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-4);
+          expect(server.state).to.equal('failed');
+        })
+        .then(() => new Promise((resolve) => setTimeout(resolve, 100)))
+        .then(() => {
+          process.removeListener('unhandledRejection', listener);
+          tcpServer.close();
+          expect(rejections).to.eql([]);
         });
     });
-  });
-  describe('#isRunning', () => {
-    it('is `true` while a server accepts connections', () => {
-      const server = new RedisServer(generateRandomPort());
+    it('throws when given a backend without a spawn function', () => {
+      expect(() => new RedisServer({ backend: {} })).to.throw(TypeError);
+    });
+    it('fails when an option is not supported by the Redis version', () => {
+      const oldBin = `${generateRandomPort()}-redis-server`;
+      const server = new RedisServer({
+        bin: `./${oldBin}`,
+        port: 'auto',
+        replicaof: '127.0.0.1 6379'
+      });
+      let openingCount = 0;
 
-      expect(server.isRunning).to.equal(false);
-      server.open();
-      expect(server.isRunning).to.equal(false);
+      server.on('opening', () => ++openingCount);
+      fs.writeFileSync(
+        oldBin,
+        '#!/bin/sh\necho "Redis server v=4.0.14 sha=00000000:0 ' +
+          'malloc=jemalloc-4.0.3 bits=64 build=0"\n',
+        { mode: 0o755 }
+      );
 
       return server
         .open()
         .then(() => {
-          expect(server.isRunning).to.equal(true);
-          server.close();
-          expect(server.isRunning).to.equal(true);
+          throw new Error('Expected a rejection');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-9);
+          expect(err.message).to.contain('4.0.14');
+          expect(err.message).to.contain('replicaof');
+          expect(server.version).to.have.property('major').equal(4);
+          expect(openingCount).to.equal(0);
+          expectIdle(server);
+        })
+        .then(() => fs.unlinkSync(oldBin), (err) => {
+          fs.unlinkSync(oldBin);
 
-          return server.close();
+          throw err;
+        });
+    });
+    it('fails when a server exits before it is ready', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        config: { fubar: 'yes' }
+      });
+      let stderr = '';
+      let closeCount = 0;
+
+      server.on('stderr', (data) => stderr += data);
+      server.on('close', () => ++closeCount);
+
+      return server.open((err, res) => {
+        expect(err).to.be.an('error').with.property('code').equal(-4);
+        expect(err).to.have.property('exitCode').equal(1);
+        expect(err).to.have.property('signal').equal(null);
+        expect(err.output).to.be.an('array').that.is.not.empty;
+        expect(err.output.join('\n')).to.contain('fubar');
+        expect(err.message).to.match(/^Redis server exited with code 1/);
+        expect(err.message).to.contain(err.output.pop());
+        expect(stderr).to.contain('fubar');
+        expect(res).to.equal(null);
+        expect(closeCount).to.equal(1);
+        expectIdle(server);
+      });
+    });
+    it('fails when a server is not ready within a given time', () => {
+      const server = new RedisServer({ port: 'auto', openTimeout: 1 });
+      let closingCount = 0;
+      let closeCount = 0;
+
+      server.on('closing', () => ++closingCount);
+      server.on('close', () => ++closeCount);
+
+      return server.open((err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-6);
+        expect(closingCount).to.equal(1);
+        expect(closeCount).to.equal(1);
+        expectIdle(server);
+        expect(server.process).to.equal(null);
+      });
+    });
+    it('fails when a binary does not report a version in time', () => {
+      const hangingBin = `${process.cwd()}/${generateRandomPort()}-hang`;
+      const servers = [
+        new RedisServer({ bin: hangingBin, port: 'auto', openTimeout: 200 }),
+        new RedisServer({
+          bin: hangingBin,
+          port: 'auto',
+          version: '^7',
+          openTimeout: 200
+        })
+      ];
+
+      fs.writeFileSync(hangingBin, '#!/bin/sh\nexec sleep 30\n', {
+        mode: 0o755
+      });
+
+      return servers[0]
+        .open()
+        .then(() => {
+          throw new Error('Expected a rejection');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-6);
+          expectIdle(servers[0]);
+
+          return servers[1].open();
         })
         .then(() => {
-          expect(server.isRunning).to.equal(false);
+          throw new Error('Expected a rejection');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-9);
+          expect(err.message).to.contain(`${hangingBin} (unknown version)`);
+          expectIdle(servers[1]);
+        })
+        .then(() => fs.unlinkSync(hangingBin), (err) => {
+          fs.unlinkSync(hangingBin);
+
+          throw err;
         });
     });
-    it('is `false` after a misconfigured server starts', () => {
+    it('fails when a server does not reply to PING', () => {
+      const ping = RedisServer.ping;
+      const server = new RedisServer('auto');
+      const err = new Error();
+
+      RedisServer.ping = () => Promise.reject(err);
+
+      return server.open((res) => {
+        RedisServer.ping = ping;
+
+        expect(res).to.equal(err);
+        expectIdle(server);
+        expect(server.process).to.equal(null);
+      });
+    });
+    it('emits "closing" and "close" when failing to start a server', () => {
       const server = new RedisServer('badport');
+      let closingCount = 0;
+      let closeCount = 0;
 
-      expect(server.isRunning).to.equal(false);
-      server.open();
-      expect(server.isRunning).to.equal(false);
+      server.on('closing', () => ++closingCount);
+      server.on('close', () => ++closeCount);
 
       return server
         .open((err) => {
           expect(err).to.be.an('error').and.have.property('code').equal(-3);
-          expect(server.isRunning).to.equal(false);
-          server.close();
-          expect(server.isRunning).to.equal(false);
+        })
+        .then(() => server.open((err) => {
+          expect(err).to.be.an('error').and.have.property('code').equal(-3);
+        }))
+        .then(() => {
+          expect(closingCount).to.equal(2);
+          expect(closeCount).to.equal(2);
+
+          return server.close();
+        });
+    });
+  });
+  describe('#close()', () => {
+    it('should close a server and execute a callback', () => {
+      const server = new RedisServer(generateRandomPort());
+
+      return server
+        .open()
+        .then(() => promisify((done) => expectToClose(server, done)));
+    });
+    it('should close a server and resolve a promise', () => {
+      const server = new RedisServer(generateRandomPort());
+
+      return server.open().then(() => expectToClose(server));
+    });
+    it('should report any error when applicable', () => {
+      const server = new RedisServer(generateRandomPort());
+      const close = RedisServer.close;
+
+      RedisServer.close = () =>
+        Promise.reject(new Error());
+
+      return server
+        .open()
+        .then(() => server.close((err, res) => {
+          RedisServer.close = close;
+
+          expect(err).to.be.an('error');
+          expect(res).to.equal(null);
+
+          return server.close();
+        }));
+    });
+    it('should save data when closing with a SHUTDOWN command', () => {
+      const server = new RedisServer({ port: 'auto', dir: true, keepDir: true });
+
+      return server
+        .open()
+        .then(() => server.close({ save: true }))
+        .then((res) => {
+          expect(res).to.equal(null);
+          expect(fs.existsSync(`${server.dir}/dump.rdb`)).to.equal(true);
+          expectIdle(server);
+          RedisServer.removeTree(server.dir);
+        });
+    });
+    it('should not save data when closing with a SHUTDOWN command', () => {
+      const server = new RedisServer({ port: 'auto', dir: true, keepDir: true });
+
+      return server
+        .open()
+        .then(() => server.close({ save: false }))
+        .then(() => {
+          expect(fs.existsSync(`${server.dir}/dump.rdb`)).to.equal(false);
+          expectIdle(server);
+          RedisServer.removeTree(server.dir);
+        });
+    });
+    it('should authenticate before sending a SHUTDOWN command', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        config: { requirepass: 'secret' }
+      });
+
+      return server
+        .open()
+        .then(() => server.close({ save: false }))
+        .then(() => expectIdle(server));
+    });
+    it('should send a SHUTDOWN command over a Unix socket', () => {
+      const server = new RedisServer({ port: false, socket: true });
+
+      return server
+        .open()
+        .then(() => server.close({ save: false }))
+        .then(() => expectIdle(server));
+    });
+    it('should report an error reply to a SHUTDOWN command', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        config: { 'rename-command': [['SHUTDOWN', '']] }
+      });
+
+      return server
+        .open()
+        .then(() => server.close({ save: true }))
+        .then(() => {
+          throw new Error('expected close() to fail');
+        }, (err) => {
+          expect(err).to.be.an('error');
+          expect(err.code).to.equal(-7);
+          expectRunning(server);
 
           return server.close();
         })
+        .then(() => expectIdle(server));
+    });
+    it('should stop when the connection resets during SHUTDOWN', () => {
+      const server = new RedisServer({ port: 'auto', supervise: true });
+      const command = RedisServer.command;
+      const exits = [];
+
+      server.on('exit', (exit) => exits.push(exit));
+
+      return server
+        .open()
         .then(() => {
-          expect(server.isRunning).to.equal(false);
+          /**
+           * Fail as if the connection was reset.
+           * @return {undefined}
+           * @throws {Error}
+           */
+          const reset = () => {
+            const err = new Error('read ECONNRESET');
+
+            err.code = 'ECONNRESET';
+
+            throw err;
+          };
+
+          RedisServer.command = (target, args) =>
+            command(target, args).then(reset, reset);
+
+          return server.close({ save: false });
+        })
+        .then(() => {
+          RedisServer.command = command;
+
+          expectIdle(server);
+          expect(exits).to.have.length(1);
+          expect(exits[0]).to.have.property('crashed').equal(false);
+        }, (err) => {
+          RedisServer.command = command;
+
+          throw err;
+        });
+    });
+    it('should kill a server that does not stop within a given time', () => {
+      const server = new RedisServer({ port: 'auto', closeTimeout: 100 });
+      let signal = null;
+
+      return server
+        .open()
+        .then(() => {
+          server.process.once('close', (code, value) => signal = value);
+          server.process.kill('SIGSTOP');
+
+          return server.close();
+        })
+        .then(() => {
+          expect(signal).to.equal('SIGKILL');
+          expectIdle(server);
+        });
+    });
+    it('should do nothing when a server is already stopping', () => {
+      const server = new RedisServer(generateRandomPort());
+
+      return server.open().then(() => {
+        expect(server.close()).to.equal(server.close());
+
+        return server.close();
+      });
+    });
+    it('should do nothing when a server is already stopped', () => {
+      const server = new RedisServer(generateRandomPort());
+
+      return server
+        .open()
+        .then(() => server.close())
+        .then(() => {
+          server.close();
+          expect(server.isClosing).to.equal(false);
+          expectIdle(server);
+        });
+    });
+    it('should do nothing when a server was never started', () => {
+      const server = new RedisServer();
+
+      server.close();
+      expect(server.isClosing).to.equal(false);
+      expectIdle(server);
+    });
+    it('should stop a server after #open() finishes', () => {
+      const server = new RedisServer(generateRandomPort());
+
+      return Promise
+        .all([
+          server.open(),
+          promisify((done) => setTimeout(() => server.close(done), 10)),
+          promisify((done) => setTimeout(() => server.open(done), 15)),
+          promisify((done) => setTimeout(() => server.close(done), 20))
+        ])
+        .then(() => {
+          expectIdle(server);
+        });
+    });
+    it('emits "closing" and "close" when stopping a server', () => {
+      const server = new RedisServer(generateRandomPort());
+      let closingCount = 0;
+      let closeCount = 0;
+
+      server.on('closing', () => ++closingCount);
+      server.on('close', () => ++closeCount);
+
+      return server
+        .open()
+        .then(() => server.close())
+        .then(() => server.open())
+        .then(() => server.close())
+        .then(() => server.close())
+        .then(() => {
+          expect(closingCount).to.equal(2);
+          expect(closeCount).to.equal(2);
+        });
+    });
+  });
+  describe('supervision', () => {
+    it('should emit "exit" when a server stops', () => {
+      const server = new RedisServer('auto');
+      const exits = [];
+
+      server.on('exit', (exit) => exits.push(exit));
+
+      return server
+        .open()
+        .then(() => server.close())
+        .then(() => {
+          expect(exits).to.eql([{
+            code: 0,
+            signal: null,
+            crashed: false,
+            respawn: false
+          }]);
+        });
+    });
+    it('should emit "exit" when a server crashes', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => new Promise((resolve) => {
+          server.once('exit', resolve);
+          server.process.kill('SIGKILL');
+        }))
+        .then((exit) => {
+          expect(exit).to.eql({
+            code: null,
+            signal: 'SIGKILL',
+            crashed: true,
+            respawn: false
+          });
+          expectIdle(server);
+        });
+    });
+    it('should respawn a server that crashes', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        dir: true,
+        supervise: true,
+        respawnDelay: 1
+      });
+      let dir = null;
+      let pid = null;
+
+      return server
+        .open()
+        .then(() => {
+          dir = server.dir;
+          pid = server.process.pid;
+
+          return new Promise((resolve) => {
+            server.once('open', resolve);
+            server.process.kill('SIGKILL');
+          });
+        })
+        .then(() => {
+          expect(server.process.pid).to.not.equal(pid);
+          expect(server.dir).to.equal(dir);
+          expectRunning(server);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(fs.existsSync(dir)).to.equal(false);
+        });
+    });
+    it('should stop respawning a server after a given count', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        dir: true,
+        supervise: true,
+        respawnDelay: 1,
+        maxRespawns: 1
+      });
+      const exits = [];
+      let dir = null;
+
+      server.on('exit', (exit) => exits.push(exit.respawn));
+
+      return server
+        .open()
+        .then(() => {
+          dir = server.dir;
+
+          return new Promise((resolve) => {
+            // The respawned process fails to start.
+            server.config.bin = 'redis-server-missing';
+            server.once('close', resolve);
+            server.process.kill('SIGKILL');
+          });
+        })
+        .then(() => new Promise((resolve) => setTimeout(resolve, 100)))
+        .then(() => {
+          server.config.bin = bin;
+
+          expect(exits).to.eql([true, false]);
+          expect(server.isRespawning).to.equal(false);
+          expect(fs.existsSync(dir)).to.equal(false);
+          expectIdle(server);
+
+          return server.open();
+        })
+        .then(() => {
+          expect(server.respawnCount).to.equal(0);
+
+          return server.close();
+        });
+    });
+    it('should start over once a respawned server is running', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        supervise: true,
+        respawnDelay: 1
+      });
+      const counts = [];
+
+      /**
+       * Kill the current process and wait for a respawned one to open.
+       * @return {Promise}
+       */
+      const crash = () => new Promise((resolve) => {
+        server.once('close', () => counts.push(server.respawnCount));
+        server.once('open', () => setImmediate(resolve));
+        server.process.kill('SIGKILL');
+      });
+
+      return server
+        .open()
+        .then(crash)
+        .then(() => {
+          expect(server.respawnCount).to.equal(0);
+
+          return crash();
+        })
+        .then(() => {
+          // Each crash is the first in a row, so it waits for respawnDelay.
+          expect(counts).to.eql([0, 0]);
+          expect(server.respawnCount).to.equal(0);
+
+          return server.close();
+        });
+    });
+    it('should not respawn a server that is closed', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        dir: true,
+        supervise: true,
+        respawnDelay: 1000
+      });
+      let dir = null;
+
+      return server
+        .open()
+        .then(() => {
+          dir = server.dir;
+
+          return new Promise((resolve) => {
+            server.once('close', resolve);
+            server.process.kill('SIGKILL');
+          });
+        })
+        .then(() => {
+          expect(server.isRespawning).to.equal(true);
+          expect(fs.existsSync(dir)).to.equal(true);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.isRespawning).to.equal(false);
+          expect(server.respawnTimer).to.equal(null);
+          expect(fs.existsSync(dir)).to.equal(false);
+          expectIdle(server);
+        });
+    });
+  });
+  describe('detached mode', function () {
+    // A detached Redis server is reaped by init once it exits.
+    this.timeout(10000);
+
+    it('writes a pidfile and metadata until a server closes', () => {
+      const pidfile = path.join(os.tmpdir(), `redis-${process.pid}-a.pid`);
+      const server = new RedisServer({ port: 'auto', detached: true, pidfile });
+
+      return server
+        .open()
+        .then(() => {
+          const metadata = JSON.parse(fs.readFileSync(`${pidfile}.json`));
+
+          expect(server.pidfile).to.equal(pidfile);
+          expect(fs.readFileSync(pidfile, 'utf8'))
+            .to.equal(`${server.process.pid}\n`);
+          expect(metadata).to.have.property('pid').equal(server.process.pid);
+          expect(metadata).to.have.property('port').equal(server.port);
+          expect(metadata.config).to.have.property('detached').equal(true);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.pidfile).to.equal(null);
+          expect(fs.existsSync(pidfile)).to.equal(false);
+          expect(fs.existsSync(`${pidfile}.json`)).to.equal(false);
+        });
+    });
+    it('writes a pidfile to the temporary directory by default', () => {
+      const server = new RedisServer({ port: 'auto', detached: true });
+      let pidfile = null;
+
+      return server
+        .open()
+        .then(() => {
+          pidfile = path.join(os.tmpdir(), `redis-server-${server.port}.pid`);
+
+          expect(server.pidfile).to.equal(pidfile);
+          expect(fs.existsSync(pidfile)).to.equal(true);
+
+          for (let file of [pidfile, `${pidfile}.json`]) {
+            expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+          }
+
+          return server.close();
+        })
+        .then(() => {
+          expect(fs.existsSync(pidfile)).to.equal(false);
+          expect(fs.existsSync(`${pidfile}.json`)).to.equal(false);
+        });
+    });
+    it('replaces a pidfile whose process is no longer running', () => {
+      const pidfile = path.join(os.tmpdir(), `redis-${process.pid}-s.pid`);
+      const server = new RedisServer({ port: 'auto', detached: true, pidfile });
+
+      fs.writeFileSync(pidfile, '2147483646\n');
+      fs.writeFileSync(`${pidfile}.json`, '{}');
+
+      return server
+        .open()
+        .then(() => {
+          expect(fs.readFileSync(pidfile, 'utf8'))
+            .to.equal(`${server.process.pid}\n`);
+
+          return server.close();
+        });
+    });
+    it('keeps a server running once the process that opened it exits', () => {
+      const pidfile = path.join(os.tmpdir(), `redis-${process.pid}-b.pid`);
+      const config = { port: 'auto', dir: true, detached: true, pidfile };
+      const script = `
+        const RedisServer = require(${JSON.stringify(require.resolve('./RedisServer'))});
+
+        new RedisServer(${JSON.stringify(config)})
+          .open()
+          .then(() => process.exit(0));
+      `;
+      let dir = null;
+
+      return promisify((done) => childprocess.execFile(
+        process.execPath,
+        ['-e', script],
+        done
+      ))
+        .then(() => RedisServer.attach(pidfile))
+        .then((server) => {
+          dir = server.dir;
+
+          expectRunning(server);
+          expect(fs.existsSync(dir)).to.equal(true);
+
+          return server
+            .command('PING')
+            .then((reply) => {
+              expect(reply).to.equal('PONG');
+
+              return server.close();
+            })
+            .then(() => server);
+        })
+        .then((server) => {
+          expectIdle(server);
+          expect(fs.existsSync(pidfile)).to.equal(false);
+          expect(fs.existsSync(dir)).to.equal(false);
+        });
+    });
+    it('emits "exit" when an attached server stops otherwise', () => {
+      const pidfile = path.join(os.tmpdir(), `redis-${process.pid}-c.pid`);
+      const server = new RedisServer({ port: 'auto', detached: true, pidfile });
+
+      return server
+        .open()
+        .then(() => RedisServer.attach(pidfile))
+        .then((attached) => new Promise((resolve) => {
+          attached.once('exit', (exit) => resolve({ attached, exit }));
+          server.close();
+        }))
+        .then((result) => {
+          expect(result.exit).to.have.property('crashed').equal(true);
+          expect(result.attached.state).to.equal('failed');
+        });
+    });
+    it('fails to attach without a pidfile', () =>
+      RedisServer
+        .attach(path.join(os.tmpdir(), `redis-${process.pid}-d.pid`))
+        .then(() => {
+          throw new Error('expected an error');
+        }, (err) => {
+          expect(err.code).to.equal(-3);
+        })
+    );
+    it('fails to attach to a server that is not running', () => {
+      const pidfile = path.join(os.tmpdir(), `redis-${process.pid}-e.pid`);
+      const server = new RedisServer({ port: 'auto', detached: true, pidfile });
+      let metadata = null;
+
+      return server
+        .open()
+        .then(() => {
+          metadata = fs.readFileSync(`${pidfile}.json`);
+
+          return server.close();
+        })
+        .then(() => {
+          fs.writeFileSync(pidfile, `${JSON.parse(metadata).pid}\n`);
+          fs.writeFileSync(`${pidfile}.json`, metadata);
+
+          return RedisServer.attach(pidfile);
+        })
+        .then(() => {
+          throw new Error('expected an error');
+        }, (err) => {
+          expect(err.code).to.equal(-3);
+          expect(err.message).to.include('not running');
+        })
+        .then(() => {
+          fs.unlinkSync(pidfile);
+          fs.unlinkSync(`${pidfile}.json`);
+        });
+    });
+  });
+  describe('#restart()', () => {
+    it('should restart a server and keep its data directory', () => {
+      const server = new RedisServer({ port: 'auto', dir: true });
+      const events = [];
+      let dir = null;
+
+      for (let name of ['restarting', 'closing', 'close', 'opening', 'open']) {
+        server.on(name, () => events.push(name));
+      }
+
+      server.on('restart', () => events.push('restart'));
+
+      return server
+        .open()
+        .then(() => {
+          dir = server.dir;
+          events.splice(0);
+
+          fs.writeFileSync(`${dir}/file`, '');
+
+          return server.restart();
+        })
+        .then((connection) => {
+          expect(connection).to.equal(server.connection);
+          expect(events).to.eql([
+            'restarting',
+            'closing',
+            'close',
+            'opening',
+            'open',
+            'restart'
+          ]);
+          expect(server.dir).to.equal(dir);
+          expect(fs.existsSync(`${dir}/file`)).to.equal(true);
+          expectRunning(server);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(fs.existsSync(dir)).to.equal(false);
+        });
+    });
+    it('should restart a server and execute a callback', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => promisify((done) => server.restart(done)))
+        .then((connection) => {
+          expect(connection).to.equal(server.connection);
+
+          return server.close();
+        });
+    });
+    it('should apply a given configuration', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        config: { maxmemory: '2mb' }
+      });
+
+      return server
+        .open()
+        .then(() => server.restart({ config: { maxmemory: '4mb' } }))
+        .then(() => server.getConfig('maxmemory'))
+        .then((config) => {
+          expect(config).to.eql({ maxmemory: '4mb' });
+          expect(server.config.port).to.equal('auto');
+
+          return server.close();
+        });
+    });
+    it('should reject an invalid configuration', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => server.restart({ config: { port: 6380 } }))
+        .then(() => {
+          throw new Error('expected restart() to fail');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(TypeError);
+          expectRunning(server);
+
+          return server.close();
+        });
+    });
+    it('should start a server that is not running', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .restart()
+        .then(() => {
+          expectRunning(server);
+
+          return server.close();
+        });
+    });
+    it('should remove a temporary data directory when failing', () => {
+      const server = new RedisServer({ port: 'auto', dir: true });
+      let dir = null;
+
+      return server
+        .open()
+        .then(() => {
+          dir = server.dir;
+
+          return server.restart({ config: { fubar: 'yes' } });
+        })
+        .then(() => {
+          throw new Error('expected restart() to fail');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-4);
+          expect(fs.existsSync(dir)).to.equal(false);
+          expect(server.dir).to.equal(null);
+          expectIdle(server);
+        });
+    });
+    it('should be awaited by #open()', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => {
+          const promise = server.restart();
+
+          expect(server.open()).to.equal(promise);
+
+          return promise;
+        })
+        .then(() => server.close());
+    });
+  });
+  describe('#command()', () => {
+    it('should send a command and resolve a promise', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => server.command('PING'))
+        .then((res) => {
+          expect(res).to.equal('PONG');
+
+          return server.close();
+        });
+    });
+    it('should send a command and execute a callback', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => promisify((done) => server.command('ECHO a', done)))
+        .then((res) => {
+          expect(res).to.equal('a');
+
+          return server.close();
+        });
+    });
+    it('should authenticate with a password in a configuration file', () => {
+      const file = path.join(os.tmpdir(), `redis-${process.pid}-c.conf`);
+      const server = new RedisServer({ conf: file, port: 'auto' });
+
+      fs.writeFileSync(file, 'requirepass secret\n');
+
+      return server
+        .open()
+        .then(() => server.command('PING'))
+        .then((res) => {
+          expect(res).to.equal('PONG');
+          expect(server.connection.password).to.equal('secret');
+
+          return server.close();
+        })
+        .then(() => fs.unlinkSync(file));
+    });
+    it('rejects a command not supported by the Redis version', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => {
+          expect(server.version).to.have.property('version').a('string');
+          server.version = RedisServer.parseVersion('v=5.0.14');
+
+          return server.command('HELLO 3');
+        })
+        .then(() => {
+          throw new Error('Expected a rejection');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-9);
+          expect(err.message).to.contain('HELLO');
+
+          return server.close();
+        });
+    });
+    it('should split a string and send an array as-is', () => {
+      const server = new RedisServer({ port: false, socket: true });
+
+      return server
+        .open()
+        .then(() => Promise.all([
+          server.command('SET key "a value"'),
+          server.command(['GET', 'key']),
+          server.command(['SET', 'key b', 1]),
+          server.command('GET "key b"')
+        ]))
+        .then((res) => {
+          expect(res).to.eql(['OK', 'a value', 'OK', '1']);
+
+          return server.close();
+        });
+    });
+    it('should authenticate with a known password', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        config: { requirepass: 'secret' }
+      });
+
+      return server
+        .open()
+        .then(() => server.command('PING'))
+        .then((res) => {
+          expect(res).to.equal('PONG');
+
+          return server.close();
+        });
+    });
+    it('should parse RESP3 replies', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => server.command('HELLO 3'))
+        .then((res) => {
+          expect(res).to.have.property('proto').equal(3);
+
+          return server.close();
+        });
+    });
+    it('should reject an error reply', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => server.command('FUBAR'))
+        .then(() => {
+          throw new Error('expected command() to fail');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-7);
+
+          return server.command('PING');
+        })
+        .then((res) => {
+          expect(res).to.equal('PONG');
+
+          return server.close();
+        });
+    });
+    it('should reject when a server is not running', () => {
+      const server = new RedisServer();
+
+      return server.command('PING').then(() => {
+        throw new Error('expected command() to fail');
+      }, (err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-3);
+      });
+    });
+    it('should reject pending commands when a server closes', () => {
+      const server = new RedisServer('auto');
+      const closePromise = new Promise((resolve) => server.on('close', resolve));
+
+      return server
+        .open()
+        .then(() => {
+          server.process.kill('SIGSTOP');
+
+          const promise = server.command('PING');
+
+          server.process.kill('SIGKILL');
+
+          return promise;
+        })
+        .then(() => {
+          throw new Error('expected command() to fail');
+        }, (err) => {
+          expect(err).to.be.an('error');
+
+          return closePromise;
+        })
+        .then(() => {
+          expect(server.client).to.equal(null);
+          expectIdle(server);
+        });
+    });
+  });
+  describe('#configure()', () => {
+    it('should change the configuration of a running server', () => {
+      const server = new RedisServer('auto');
+      let openCount = 0;
+
+      server.on('open', () => ++openCount);
+
+      return server
+        .open()
+        .then(() => server.configure({
+          'maxmemory': '64mb',
+          'save': ['900 1', '300 10']
+        }))
+        .then((connection) => {
+          expect(connection).to.equal(server.connection);
+          expect(openCount).to.equal(1);
+          expect(server.config.config.maxmemory).to.eql([['64mb']]);
+
+          return server.getConfig('*');
+        })
+        .then((config) => {
+          expect(config).to.have.property('maxmemory').equal('64mb');
+          expect(config).to.have.property('save').equal('900 1 300 10');
+
+          return server.close();
+        });
+    });
+    it('should restart a server for settings that cannot be changed', () => {
+      const server = new RedisServer({ port: 'auto', config: { hz: 10 } });
+      let openCount = 0;
+
+      server.on('open', () => ++openCount);
+
+      return server
+        .open()
+        .then(() => server.configure({ databases: 4, maxmemory: '1mb' }))
+        .then((connection) => {
+          expect(connection).to.equal(server.connection);
+          expect(openCount).to.equal(2);
+          expect(Object.keys(server.config.config)).to.eql([
+            'hz',
+            'databases',
+            'maxmemory'
+          ]);
+          expectRunning(server);
+
+          return server.getConfig('databases');
+        })
+        .then((config) => {
+          expect(config).to.eql({ databases: '4' });
+
+          return server.close();
+        });
+    });
+    it('should reject an invalid value', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => server.configure({ maxmemory: 'lots' }))
+        .then(() => {
+          throw new Error('expected configure() to fail');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-7);
+          expect(server.config.config).to.equal(null);
+          expectRunning(server);
+
+          return server.close();
+        });
+    });
+    it('should reject an unknown directive without a restart', () => {
+      const server = new RedisServer('auto');
+      let openCount = 0;
+
+      server.on('open', () => ++openCount);
+
+      return server
+        .open()
+        .then(() => server.configure({ maxmemmory: '1mb' }))
+        .then(() => {
+          throw new Error('expected configure() to fail');
+        }, (err) => {
+          expect(err).to.be.an('error').with.property('code').equal(-7);
+          expect(server.config.config).to.equal(null);
+          expect(openCount).to.equal(1);
+          expectRunning(server);
+
+          return server.close();
+        });
+    });
+    it('should tell unknown from immutable directives before Redis 7', () => {
+      const server = new RedisServer({ port: 'auto', config: { hz: 10 } });
+      const command = RedisServer.command;
+      let openCount = 0;
+
+      server.on('open', () => ++openCount);
+
+      return server
+        .open()
+        .then(() => {
+          RedisServer.command = (target, args) => {
+            if (args[0] !== 'CONFIG' || args[1] !== 'SET') {
+              return command(target, args);
+            }
+
+            const err = new Error(`ERR Unsupported CONFIG parameter: ${
+              args[2]
+            }`);
+
+            err.code = -7;
+
+            return Promise.reject(err);
+          };
+
+          return server.configure({ maxmemmory: '1mb' });
+        })
+        .then(() => {
+          throw new Error('expected configure() to fail');
+        }, (err) => {
+          expect(err.message).to.contain('Unsupported CONFIG parameter');
+          expect(openCount).to.equal(1);
+
+          return server.configure({ hz: 20 });
+        })
+        .then(() => {
+          RedisServer.command = command;
+
+          expect(openCount).to.equal(2);
+
+          return server.close();
+        }, (err) => {
+          RedisServer.command = command;
+
+          throw err;
+        });
+    });
+    it('should reject an invalid directive', () => {
+      const server = new RedisServer();
+
+      return server.configure({ port: 6380 }, (err) => {
+        expect(err).to.be.an.instanceof(TypeError);
+      });
+    });
+    it('should change the configuration of a stopped server', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .configure({ maxmemory: '2mb' })
+        .then((connection) => {
+          expect(connection).to.equal(null);
+
+          return server.open();
+        })
+        .then(() => server.getConfig('maxmemory'))
+        .then((config) => {
+          expect(config).to.eql({ maxmemory: '2mb' });
+
+          return server.close();
+        });
+    });
+    it('should reject a rewrite without a configuration file path', () => {
+      const server = new RedisServer({ port: 'auto', config: { hz: 10 } });
+
+      return server
+        .open()
+        .then(() => server.configure({ hz: 20 }, { rewrite: true }))
+        .then(() => {
+          throw new Error('expected configure() to fail');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(TypeError);
+          expect(server.config.config.hz).to.eql([['10']]);
+
+          return server.getConfig('hz');
+        })
+        .then((config) => {
+          expect(config).to.eql({ hz: '10' });
+
+          return server.close();
+        });
+    });
+    it('should wait for a restart to complete', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => {
+          server.restart();
+
+          return server.configure({ hz: 20 });
+        })
+        .then((connection) => {
+          expect(connection).to.equal(server.connection);
+          expectRunning(server);
+
+          return server.getConfig('hz');
+        })
+        .then((config) => {
+          expect(config).to.eql({ hz: '20' });
+
+          return server.close();
+        });
+    });
+    it('should persist changes to a configuration file', () => {
+      const path = `${generateRandomPort()}.conf`;
+      const server = new RedisServer({ conf: path, port: 'auto' });
+
+      return createConf({ hz: 10 }, path)
+        .then(() => server.open())
+        .then(() => server.configure({ maxmemory: '8mb' }, { rewrite: true }))
+        .then(() => {
+          expect(fs.readFileSync(path, 'utf8')).to.match(/^maxmemory 8mb$/m);
+
+          return server.close();
+        })
+        .then(() => fs.unlinkSync(path));
+    });
+  });
+  describe('#getConfig()', () => {
+    it('should get the configuration of a running server', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        config: { maxmemory: '16mb', hz: 10 }
+      });
+
+      return server
+        .open()
+        .then(() => promisify((done) => server.getConfig('maxm*', done)))
+        .then((config) => {
+          expect(config).to.eql({ maxmemory: '16mb' });
+
+          return server.close();
+        });
+    });
+  });
+  describe('#state', () => {
+    /**
+     * Record the states a given {@linkcode server} changes to.
+     * @argument {RedisServer} server
+     * @return {Array.<String>}
+     */
+    const recordStates = (server) => {
+      const states = [];
+
+      server.on('stateChange', (change) => {
+        expect(change.previous).to.equal(
+          states.length === 0 ? 'stopped' : states[states.length - 1]
+        );
+        states.push(change.next);
+      });
+
+      return states;
+    };
+
+    it('changes while a server starts and stops', () => {
+      const server = new RedisServer('auto');
+      const states = recordStates(server);
+
+      expect(server.state).to.equal('stopped');
+
+      return server
+        .open()
+        .then(() => {
+          expect(server.state).to.equal('running');
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.state).to.equal('stopped');
+          expect(states).to.eql(['starting', 'running', 'stopping', 'stopped']);
+        });
+    });
+    it('is "failed" when a server fails to start', () => {
+      const server = new RedisServer('badport');
+      const states = recordStates(server);
+
+      return server.open((err) => {
+        expect(err).to.be.an('error');
+        expect(server.state).to.equal('failed');
+        expect(states).to.eql(['starting', 'stopping', 'failed']);
+        expectIdle(server);
+      });
+    });
+    it('is "failed" when a server crashes', () => {
+      const server = new RedisServer('auto');
+      const states = recordStates(server);
+
+      return server
+        .open()
+        .then(() => new Promise((resolve) => {
+          server.once('close', resolve);
+          server.process.kill('SIGKILL');
+        }))
+        .then(() => {
+          expect(states).to.eql(['starting', 'running', 'failed']);
+          expectIdle(server);
+        });
+    });
+    it('is "running" when a server does not shut down', () => {
+      const server = new RedisServer({
+        port: 'auto',
+        config: { 'rename-command': [['SHUTDOWN', '']] }
+      });
+      const states = recordStates(server);
+
+      return server
+        .open()
+        .then(() => server.close({ save: false }))
+        .catch(() => {
+          expect(states).to.eql(['starting', 'running', 'stopping', 'running']);
+
+          return server.close();
+        });
+    });
+    it('is "stopping" while a running server is still running', () => {
+      const server = new RedisServer('auto');
+
+      return server
+        .open()
+        .then(() => {
+          const promise = server.close();
+
+          expect(server.state).to.equal('stopping');
+          expect(server.isRunning).to.equal(true);
+          expect(server.isClosing).to.equal(true);
+          expect(server.isOpening).to.equal(false);
+
+          return promise;
+        });
+    });
+    it('rejects an invalid transition', () => {
+      const server = new RedisServer();
+
+      expect(() => RedisServer.setState(server, 'running')).to.throw(Error);
+      expect(server.state).to.equal('stopped');
+    });
+  });
+  describe('#isOpening', () => {
+    it('is `true` while a server is starting', () => {
+      const server = new RedisServer(generateRandomPort());
+
+      expect(server.isOpening).to.equal(false);
+      server.open();
+      expect(server.isOpening).to.equal(true);
+
+      return server
+        .open()
+        .then(() => {
+          expect(server.isOpening).to.equal(false);
+          server.close();
+          expect(server.isOpening).to.equal(false);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.isOpening).to.equal(false);
+        });
+    });
+    it('is `true` while a misconfigured server is starting', () => {
+      const server = new RedisServer('badport');
+
+      expect(server.isOpening).to.equal(false);
+      server.open();
+      expect(server.isOpening).to.equal(true);
+
+      return server
+        .open((err) => {
+          expect(err).to.be.an('error').and.have.property('code').equal(-3);
+          expect(server.isOpening).to.equal(false);
+          server.close();
+          expect(server.isOpening).to.equal(false);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.isOpening).to.equal(false);
+        });
+    });
+  });
+  describe('#isClosing', () => {
+    it('is `true` while a server is stopping', () => {
+      const server = new RedisServer(generateRandomPort());
+
+      expect(server.isClosing).to.equal(false);
+      server.open();
+      expect(server.isClosing).to.equal(false);
+
+      return server
+        .open()
+        .then(() => {
+          expect(server.isClosing).to.equal(false);
+          server.close();
+          expect(server.isClosing).to.equal(true);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.isClosing).to.equal(false);
+        });
+    });
+    it('is `true` when a server fails to start', () => {
+      const server = new RedisServer('badport');
+      let isClosing = false;
+
+      server.on('closing', () => isClosing = server.isClosing);
+      expect(server.isClosing).to.equal(false);
+      server.open();
+      expect(server.isClosing).to.equal(false);
+
+      return server
+        .open((err) => {
+          expect(err).to.be.an('error').and.have.property('code').equal(-3);
+          expect(server.isClosing).to.equal(false);
+          expect(isClosing).to.equal(true);
+          server.close();
+          expect(server.isClosing).to.equal(false);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.isClosing).to.equal(false);
+        });
+    });
+  });
+  describe('#isRunning', () => {
+    it('is `true` while a server accepts connections', () => {
+      const server = new RedisServer(generateRandomPort());
+
+      expect(server.isRunning).to.equal(false);
+      server.open();
+      expect(server.isRunning).to.equal(false);
+
+      return server
+        .open()
+        .then(() => {
+          expect(server.isRunning).to.equal(true);
+          server.close();
+          expect(server.isRunning).to.equal(true);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.isRunning).to.equal(false);
+        });
+    });
+    it('is `false` after a misconfigured server starts', () => {
+      const server = new RedisServer('badport');
+
+      expect(server.isRunning).to.equal(false);
+      server.open();
+      expect(server.isRunning).to.equal(false);
+
+      return server
+        .open((err) => {
+          expect(err).to.be.an('error').and.have.property('code').equal(-3);
+          expect(server.isRunning).to.equal(false);
+          server.close();
+          expect(server.isRunning).to.equal(false);
+
+          return server.close();
+        })
+        .then(() => {
+          expect(server.isRunning).to.equal(false);
+        });
+    });
+  });
+});
+describe('RedisReplicaSet', () => {
+  /**
+   * Get the replication role of a given {@linkcode server}.
+   * @argument {RedisServer} server
+   * @return {Promise}
+   */
+  const getRole = (server) => server
+    .command('INFO replication')
+    .then((reply) => RedisServer.parseInfo(reply).role);
+
+  describe('.parseConfig()', () => {
+    it('parses a number of replicas', () => {
+      expect(RedisReplicaSet.parseConfig(3, {})).to.eql({ replicas: 3 });
+    });
+    it('throws when given an invalid number of replicas', () => {
+      for (let replicas of [-1, 1.5, '2']) {
+        expect(() => RedisReplicaSet.parseConfig({ replicas }, {}))
+          .to.throw(TypeError);
+      }
+    });
+  });
+  describe('.follow()', () => {
+    /**
+     * Create a set whose master listens on port 6379 of the loopback address.
+     * @return {RedisReplicaSet}
+     */
+    const createSet = () => {
+      const set = new RedisReplicaSet(1);
+
+      set.master.connection = { host: '127.0.0.1', port: 6379 };
+
+      return set;
+    };
+
+    it('uses replicaof since Redis 5.0.0', () => {
+      const set = createSet();
+      const replica = set.replicas[0];
+
+      replica.version = RedisServer.parseVersion('Redis server v=7.2.4');
+
+      return RedisReplicaSet.follow(set, replica).then(() => {
+        const flags = RedisServer.parseFlags(replica.config);
+
+        expect(flags).to.include('--replicaof 127.0.0.1 6379');
+        expect(replica.config.slaveof).to.equal(null);
+      });
+    });
+    it('uses slaveof before Redis 5.0.0', () => {
+      const set = createSet();
+      const replica = set.replicas[0];
+
+      replica.version = RedisServer.parseVersion('Redis server v=4.0.14');
+
+      return RedisReplicaSet.follow(set, replica).then(() => {
+        const flags = RedisServer.parseFlags(replica.config);
+
+        expect(flags).to.include('--slaveof 127.0.0.1 6379');
+        expect(replica.config.replicaof).to.equal(null);
+      });
+    });
+    it('sends SLAVEOF to a running server before Redis 5.0.0', () => {
+      const set = createSet();
+      const replica = set.replicas[0];
+      const commands = [];
+
+      replica.version = RedisServer.parseVersion('Redis server v=4.0.14');
+      replica.state = 'running';
+      replica.command = (args) => {
+        commands.push(args);
+
+        return Promise.resolve('OK');
+      };
+
+      return RedisReplicaSet.follow(set, replica).then(() => {
+        expect(commands).to.eql([['SLAVEOF', '127.0.0.1', '6379']]);
+      });
+    });
+  });
+  describe('#constructor()', () => {
+    it('constructs servers that bind to any free port', () => {
+      const set = new RedisReplicaSet({ replica: { config: { hz: 10 } } });
+
+      expect(set.master.config.port).to.equal('auto');
+      expect(set.replicas).to.have.length(2);
+      expect(set.replicas[0].config.port).to.equal('auto');
+      expect(set.replicas[0].config.config.hz).to.eql([['10']]);
+    });
+    it('waits for replicas to sync for a limited time by default', () => {
+      expect(new RedisReplicaSet(1).config.syncTimeout).to.equal(10000);
+      expect(new RedisReplicaSet({ replica: { openTimeout: 500 } }))
+        .to.have.nested.property('config.syncTimeout').equal(500);
+      expect(new RedisReplicaSet({ syncTimeout: 20 }))
+        .to.have.nested.property('config.syncTimeout').equal(20);
+    });
+    it('throws when a server does not listen on TCP', () => {
+      expect(() => new RedisReplicaSet({ master: { port: false } }))
+        .to.throw(TypeError);
+    });
+  });
+  describe('#open()', () => {
+    it('should start a master and replicas of it', () => {
+      const set = new RedisReplicaSet(2);
+      const events = [];
+
+      set.on('opening', () => events.push('opening'));
+      set.on('open', () => events.push('open'));
+
+      return set
+        .open()
+        .then((connection) => {
+          const address = `127.0.0.1 ${set.master.port}`;
+
+          expect(connection).to.equal(set.master.connection);
+          expect(events).to.eql(['opening', 'open']);
+          expect(set.replicas.map((replica) => replica.config.replicaof))
+            .to.eql([address, address]);
+          expect(set.replicas[0].port).to.not.equal(set.replicas[1].port);
+
+          return Promise.all([set.master].concat(set.replicas).map(getRole));
+        })
+        .then((roles) => {
+          expect(roles).to.eql(['master', 'slave', 'slave']);
+
+          return set.close();
+        })
+        .then(() => {
+          for (let server of [set.master].concat(set.replicas)) {
+            expectIdle(server);
+          }
+        });
+    });
+    it('should pass the password of the master on to replicas', () => {
+      const set = new RedisReplicaSet({
+        replicas: 2,
+        master: { config: { requirepass: 'secret' } }
+      });
+
+      set.replicas[1].config.config = { masterauth: [['other']] };
+
+      return set
+        .open()
+        .then(() => {
+          expect(set.replicas[0].config.config.masterauth)
+            .to.eql([['secret']]);
+          expect(set.replicas[1].config.config.masterauth)
+            .to.eql([['other']]);
+
+          return set.close();
+        });
+    });
+    it('should start a set and execute a callback', () => {
+      const set = new RedisReplicaSet(1);
+
+      return promisify((done) => set.open(done))
+        .then(() => promisify((done) => set.close(done)));
+    });
+    it('fails and stops every server when replicas do not sync', () => {
+      const set = new RedisReplicaSet({ replicas: 1, syncTimeout: 1 });
+      const replica = set.replicas[0];
+      const command = replica.command;
+
+      replica.command = (args) => args === 'INFO replication'
+        ? Promise.resolve('master_link_status:down\r\n')
+        : command.call(replica, args);
+
+      return set.open((err) => {
+        expect(err).to.be.an('error').with.property('code').equal(-6);
+        expectIdle(set.master);
+        expectIdle(replica);
+      });
+    });
+  });
+  describe('#promote()', () => {
+    it('should make a replica the master of the others', () => {
+      const set = new RedisReplicaSet(2);
+      let master = null;
+      let replica = null;
+      let promoted = null;
+
+      set.on('promote', (server) => promoted = server);
+
+      return set
+        .open()
+        .then(() => {
+          master = set.master;
+          replica = set.replicas[1];
+
+          return set.promote(1);
+        })
+        .then((connection) => {
+          const address = `127.0.0.1 ${replica.port}`;
+
+          expect(connection).to.equal(replica.connection);
+          expect(promoted).to.equal(replica);
+          expect(set.master).to.equal(replica);
+          expect(set.replicas).to.have.length(2);
+          expect(set.replicas[1]).to.equal(master);
+          expect(replica.config.replicaof).to.equal(null);
+          expect(set.replicas.map((other) => other.config.replicaof))
+            .to.eql([address, address]);
+
+          return Promise.all([set.master].concat(set.replicas).map(getRole));
+        })
+        .then((roles) => {
+          expect(roles).to.eql(['master', 'slave', 'slave']);
+
+          return set.close();
+        });
+    });
+    it('should reject an unknown replica', () => {
+      const set = new RedisReplicaSet(1);
+
+      return set.promote(set.master, (err) => {
+        expect(err).to.be.an.instanceof(TypeError);
+      });
+    });
+  });
+});
+describe('RedisSentinel', () => {
+  describe('#constructor()', () => {
+    it('constructs a Sentinel with a generated configuration file', () => {
+      const sentinel = new RedisSentinel();
+
+      expect(sentinel.config.bin).to.equal('redis-sentinel');
+      expect(sentinel.config.port).to.equal(26379);
+      expect(sentinel.config.conf).to.eql({});
+      expect(sentinel.config.monitors).to.eql([]);
+    });
+    it('parses monitors', () => {
+      const sentinel = new RedisSentinel({
+        monitors: [{
+          name: 'mymaster',
+          master: '127.0.0.1 6379',
+          config: { 'down-after-milliseconds': 1000 }
+        }]
+      });
+
+      expect(sentinel.config.monitors).to.eql([{
+        name: 'mymaster',
+        master: '127.0.0.1 6379',
+        quorum: 1,
+        config: { 'down-after-milliseconds': [['1000']] }
+      }]);
+    });
+    it('throws when given invalid monitors', () => {
+      const monitors = [
+        {},
+        [{ master: '127.0.0.1 6379' }],
+        [{ name: 'mymaster', master: 6379 }],
+        [{ name: 'mymaster', master: '127.0.0.1 6379', quorum: 0 }],
+        [{ name: 'mymaster', master: '127.0.0.1 6379', config: { monitor: 'x' } }]
+      ];
+
+      for (let value of monitors) {
+        expect(() => new RedisSentinel({ monitors: value }))
+          .to.throw(TypeError);
+      }
+    });
+    it('throws when given monitors and a configuration file path', () => {
+      expect(() => new RedisSentinel({
+        conf: 'sentinel.conf',
+        monitors: [{ name: 'mymaster', master: '127.0.0.1 6379' }]
+      })).to.throw(TypeError);
+    });
+  });
+  describe('.formatMonitors()', () => {
+    it('formats sentinel directives', () => {
+      const monitors = RedisSentinel.parseMonitors([{
+        name: 'mymaster',
+        master: '127.0.0.1 6379',
+        quorum: 2,
+        config: { 'down-after-milliseconds': 1000 }
+      }]);
+
+      expect(RedisSentinel.formatMonitors(monitors)).to.eql([
+        ['monitor', 'mymaster', '127.0.0.1', '6379', '2'],
+        ['down-after-milliseconds', 'mymaster', '1000']
+      ]);
+    });
+    it('adds the password of a running master', () => {
+      const master = new RedisServer({ port: 6379 });
+
+      master.connection = {
+        host: '127.0.0.1',
+        port: 6379,
+        socket: null,
+        password: 'secret',
+        url: null
+      };
+
+      const monitors = RedisSentinel.parseMonitors([
+        { name: 'mymaster', master }
+      ]);
+
+      expect(RedisSentinel.formatMonitors(monitors)).to.eql([
+        ['monitor', 'mymaster', '127.0.0.1', '6379', '1'],
+        ['auth-pass', 'mymaster', 'secret']
+      ]);
+    });
+  });
+  describe('.parseEvent()', () => {
+    it('emits an sdown event', () => {
+      const sentinel = new RedisSentinel();
+      const events = [];
+
+      sentinel.on('sdown', (event) => events.push(event));
+      RedisSentinel.parseEvent(
+        sentinel,
+        '+sdown slave 127.0.0.1:6380 127.0.0.1 6380 @ mymaster 127.0.0.1 6379'
+      );
+      RedisSentinel.parseEvent(sentinel, '+sdown master mymaster 127.0.0.1 6379');
+      RedisSentinel.parseEvent(sentinel, '-sdown master mymaster 127.0.0.1 6379');
+      expect(events).to.eql([
+        {
+          role: 'slave',
+          name: '127.0.0.1:6380',
+          host: '127.0.0.1',
+          port: 6380,
+          master: { name: 'mymaster', host: '127.0.0.1', port: 6379 }
+        },
+        {
+          role: 'master',
+          name: 'mymaster',
+          host: '127.0.0.1',
+          port: 6379,
+          master: null
+        }
+      ]);
+    });
+    it('emits a switchMaster event', () => {
+      const sentinel = new RedisSentinel();
+      const events = [];
+
+      sentinel.on('switchMaster', (event) => events.push(event));
+      RedisSentinel.parseEvent(
+        sentinel,
+        '+switch-master mymaster 127.0.0.1 6379 127.0.0.1 6380'
+      );
+      expect(events).to.eql([{
+        name: 'mymaster',
+        from: { host: '127.0.0.1', port: 6379 },
+        to: { host: '127.0.0.1', port: 6380 }
+      }]);
+    });
+  });
+  describe('#open()', () => {
+    it('should start a Sentinel without monitors', () => {
+      const sentinel = new RedisSentinel(generateRandomPort());
+
+      return sentinel
+        .open()
+        .then(() => {
+          expectRunning(sentinel);
+          expect(sentinel.confPath).to.be.a('string');
+
+          return sentinel.close();
+        })
+        .then(() => {
+          expectIdle(sentinel);
+          expect(sentinel.confPath).to.equal(null);
+        });
+    });
+    it('should monitor the master of a replica set', () => {
+      const set = new RedisReplicaSet(1);
+      const sentinel = new RedisSentinel({
+        port: generateRandomPort(),
+        monitors: [{ name: 'mymaster', master: set }]
+      });
+      const events = [];
+
+      sentinel.on('switchMaster', (event) => events.push(event));
+
+      return set
+        .open()
+        .then(() => sentinel.open())
+        .then(() => sentinel.getMasterAddress('mymaster'))
+        .then((address) => {
+          expect(address).to.eql({ host: '127.0.0.1', port: set.master.port });
+
+          return sentinel.command([
+            'SENTINEL',
+            '__LOG',
+            `+switch-master mymaster 127.0.0.1 ${set.master.port} ` +
+              `127.0.0.1 ${set.replicas[0].port}`
+          ]);
+        })
+        .then(() => new Promise((resolve) => setTimeout(resolve, 50)))
+        .then(() => {
+          expect(events).to.have.length(1);
+          expect(events[0].to.port).to.equal(set.replicas[0].port);
+
+          return sentinel.close();
+        })
+        .then(() => set.close());
+    });
+    it('should monitor the current address of a master on restart', () => {
+      const master = new RedisServer(generateRandomPort());
+      const sentinel = new RedisSentinel({
+        port: generateRandomPort(),
+        monitors: [{ name: 'mymaster', master }]
+      });
+      const port = generateRandomPort();
+
+      return master
+        .open()
+        .then(() => sentinel.open())
+        .then(() => master.restart({ port }))
+        .then(() => sentinel.restart())
+        .then(() => sentinel.getMasterAddress('mymaster'))
+        .then((address) => {
+          expect(address).to.eql({ host: '127.0.0.1', port });
+
+          return sentinel.close();
+        })
+        .then(() => master.close());
+    });
+    it('fails when a monitored master is not running', () => {
+      const sentinel = new RedisSentinel({
+        port: generateRandomPort(),
+        monitors: [{ name: 'mymaster', master: new RedisServer() }]
+      });
+
+      return sentinel
+        .open()
+        .then(() => {
+          throw new Error('expected an error');
+        }, (err) => {
+          expect(err.code).to.equal(-3);
+          expectIdle(sentinel);
+        });
+    });
+  });
+});
+describe('RedisCluster', () => {
+  describe('.parseConfig()', () => {
+    it('parses a number of masters', () => {
+      expect(RedisCluster.parseConfig(4, {})).to.eql({ masters: 4 });
+    });
+    it('throws when given an invalid number of masters or replicas', () => {
+      const configs = [
+        { masters: 0 },
+        { masters: 1.5 },
+        { replicas: -1 },
+        { replicas: '1' },
+        { port: 60000 }
+      ];
+
+      for (let config of configs) {
+        expect(() => RedisCluster.parseConfig(config, {}))
+          .to.throw(TypeError);
+      }
+    });
+  });
+  describe('.getSlotRanges()', () => {
+    it('splits hash slots like redis-cli', () => {
+      expect(RedisCluster.getSlotRanges(1)).to.eql([[0, 16383]]);
+      expect(RedisCluster.getSlotRanges(3)).to.eql([
+        [0, 5460],
+        [5461, 10922],
+        [10923, 16383]
+      ]);
+    });
+  });
+  describe('#constructor()', () => {
+    it('constructs masters and replicas with cluster directives', () => {
+      const cluster = new RedisCluster({
+        masters: 2,
+        replicas: 2,
+        node: { config: { hz: 10 } }
+      });
+
+      expect(cluster.nodes).to.have.length(6);
+      expect(cluster.masters).to.eql(cluster.nodes.slice(0, 2));
+      expect(cluster.replicas).to.eql(cluster.nodes.slice(2));
+      expect(cluster.nodes[0].config.port).to.equal('auto');
+      expect(cluster.nodes[5].config.config).to.eql({
+        hz: [['10']],
+        'cluster-enabled': [['yes']],
+        'cluster-config-file': [['nodes-5.conf']]
+      });
+    });
+    it('constructs nodes on consecutive ports', () => {
+      const cluster = new RedisCluster({ masters: 1, port: 7000 });
+
+      expect(cluster.nodes.map((node) => node.config.port))
+        .to.eql([7000, 7001]);
+    });
+  });
+  describe('#open()', () => {
+    it('should start a cluster and assign every hash slot', () => {
+      const cluster = new RedisCluster();
+      const events = [];
+
+      cluster.on('opening', () => events.push('opening'));
+      cluster.on('open', () => events.push('open'));
+      cluster.on('close', () => events.push('close'));
+
+      return cluster
+        .open()
+        .then((connections) => {
+          expect(events).to.eql(['opening', 'open']);
+          expect(connections).to.eql(cluster.nodes
+            .map((node) => node.connection));
+
+          for (let node of cluster.nodes) {
+            expectRunning(node);
+            expect(node.port).to.be.at.most(55535);
+          }
+
+          return Promise.all([
+            cluster.nodes[0].command('CLUSTER INFO'),
+            cluster.masters[0].command('CLUSTER MYID'),
+            cluster.replicas[0].command('CLUSTER NODES')
+          ]);
+        })
+        .then((replies) => {
+          const info = RedisServer.parseInfo(replies[0]);
+          const line = replies[2]
+            .split('\n')
+            .filter((line) => line.indexOf('myself') !== -1)[0];
+
+          expect(info.cluster_state).to.equal('ok');
+          expect(info.cluster_known_nodes).to.equal('6');
+          expect(info.cluster_size).to.equal('3');
+          expect(line.split(' ')[3]).to.equal(replies[1]);
+
+          return cluster.close();
+        })
+        .then(() => {
+          expect(events).to.eql(['opening', 'open', 'close']);
+
+          for (let node of cluster.nodes) {
+            expectIdle(node);
+          }
+        });
+    });
+    it('should start a cluster and execute a callback', () => {
+      const cluster = new RedisCluster({ masters: 1, replicas: 0 });
+
+      return promisify((done) => cluster.open(done))
+        .then(() => promisify((done) => cluster.close(done)));
+    });
+    it('should start a cluster twice in a row', () => {
+      const cluster = new RedisCluster({ masters: 1, replicas: 0 });
+      let dir = null;
+
+      return cluster
+        .open()
+        .then(() => {
+          dir = cluster.nodes[0].dir;
+
+          expect(dir).to.be.a('string');
+
+          return cluster.close();
+        })
+        .then(() => {
+          expect(fs.existsSync(dir)).to.equal(false);
+          expect(fs.existsSync('nodes-0.conf')).to.equal(false);
+
+          return cluster.open();
+        })
+        .then(() => cluster.close());
+    });
+    it('should start a cluster twice in a row in a given directory', () => {
+      const dir = path.join(os.tmpdir(), `cluster-${process.pid}`);
+      const cluster = new RedisCluster({
+        masters: 2,
+        replicas: 0,
+        node: { dir }
+      });
+
+      return cluster
+        .open()
+        .then(() => {
+          expect(cluster.nodes.map((node) => node.dir)).to.eql([
+            path.join(dir, 'node-0'),
+            path.join(dir, 'node-1')
+          ]);
+          expect(fs.existsSync(path.join(dir, 'node-0', 'nodes-0.conf')))
+            .to.equal(true);
+
+          return cluster.close();
+        })
+        .then(() => cluster.open())
+        .then(() => cluster.close())
+        .then(() => RedisServer.removeTree(dir), (err) => {
+          RedisServer.removeTree(dir);
+
+          throw err;
+        });
+    });
+    it('does nothing when opened again while it is open', () => {
+      const cluster = new RedisCluster({ masters: 1, replicas: 0 });
+      let openingCount = 0;
+      let pid = null;
+
+      cluster.on('opening', () => ++openingCount);
+
+      return cluster
+        .open()
+        .then(() => {
+          pid = cluster.nodes[0].process.pid;
+
+          return cluster.open();
+        })
+        .then((connections) => {
+          expect(connections).to.eql([cluster.nodes[0].connection]);
+          expect(openingCount).to.equal(1);
+          expect(cluster.nodes[0].process.pid).to.equal(pid);
+          expectRunning(cluster.nodes[0]);
+
+          return cluster.close();
+        });
+    });
+    it('fails and stops every node when the cluster is not ok', () => {
+      const cluster = new RedisCluster({
+        masters: 1,
+        replicas: 0,
+        stateTimeout: 1
+      });
+      const node = cluster.nodes[0];
+      const command = node.command;
+
+      node.command = (args) => args === 'CLUSTER INFO'
+        ? Promise.resolve('cluster_state:fail\r\ncluster_known_nodes:1\r\n')
+        : command.call(node, args);
+
+      return cluster
+        .open()
+        .then(() => {
+          throw new Error('expected an error');
+        }, (err) => {
+          expect(err.code).to.equal(-6);
+          expectIdle(node);
+        });
+    });
+  });
+});
+describe('redis-server-manager', () => {
+  describe('.parseArgs()', () => {
+    it('parses a command, options, and aliases', () => {
+      expect(manager.parseArgs(['stop', '--pidfile=a.pid'])).to.eql({
+        command: 'stop',
+        options: { pidfile: 'a.pid' }
+      });
+      expect(manager.parseArgs(['-p', '6380', '-s', 'a 1', '--set', 'b 2', '-d']))
+        .to.eql({
+          command: 'start',
+          options: { port: '6380', set: ['a 1', 'b 2'], detach: true }
+        });
+    });
+    it('throws on unknown options and missing values', () => {
+      expect(() => manager.parseArgs(['--bogus'])).to.throw(TypeError);
+      expect(() => manager.parseArgs(['--port'])).to.throw(TypeError);
+    });
+  });
+  describe('.createConfigs()', () => {
+    it('repeats configuration with a port for each server', () => {
+      expect(manager.createConfigs({
+        count: '2',
+        port: '6380',
+        dir: 'true',
+        set: ['maxmemory 64mb']
+      })).to.eql([
+        { port: 6380, dir: true, config: { maxmemory: ['64mb'] } },
+        { port: 6381, dir: true, config: { maxmemory: ['64mb'] } }
+      ]);
+    });
+    it('reads configuration from a YAML file', () => {
+      const file = path.join(os.tmpdir(), `manager-${process.pid}.yml`);
+
+      fs.writeFileSync(file, '- port: 6380\n- socket: true\n');
+
+      try {
+        expect(manager.createConfigs({ file, bin: 'redis-server' })).to.eql([
+          { port: 6380, bin: 'redis-server' },
+          { socket: true, bin: 'redis-server' }
+        ]);
+      }
+      finally {
+        fs.unlinkSync(file);
+      }
+    });
+    it('throws on an invalid count', () => {
+      expect(() => manager.createConfigs({ count: '0' })).to.throw(TypeError);
+    });
+    it('gives each server a port and data directory of its own', () => {
+      const file = path.join(os.tmpdir(), `manager-${process.pid}.json`);
+
+      fs.writeFileSync(file, '[{ "port": 6380 }, { "port": 6390 }]');
+
+      try {
+        expect(manager.createConfigs({ file, count: '2', dir: 'data' }))
+          .to.eql([
+            { port: 6380, dir: path.join('data', '0') },
+            { port: 6390, dir: path.join('data', '1') },
+            { port: 6381, dir: path.join('data', '2') },
+            { port: 6391, dir: path.join('data', '3') }
+          ]);
+        expect(manager.createConfigs({ file, count: '2', port: '7000' })
+          .map((config) => config.port)).to.eql([7000, 7001, 7002, 7003]);
+        expect(manager.createConfigs({ file, dir: 'data' })
+          .map((config) => config.dir))
+          .to.eql([path.join('data', '0'), path.join('data', '1')]);
+        expect(manager.createConfigs({ count: '1', dir: 'data' }))
+          .to.eql([{ dir: 'data' }]);
+      }
+      finally {
+        fs.unlinkSync(file);
+      }
+    });
+    it('throws when the ports of servers overlap', () => {
+      const file = path.join(os.tmpdir(), `manager-${process.pid}.json`);
+
+      fs.writeFileSync(file, '[{ "port": 6380 }, { "port": 6381 }]');
+
+      try {
+        expect(() => manager.createConfigs({ file, count: '2' }))
+          .to.throw(TypeError);
+      }
+      finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+  describe('CLI', function () {
+    // Each test starts Node.js processes of its own.
+    this.timeout(10000);
+
+    it('prints usage and exits with 2 given an unknown option', () =>
+      runManager(['--bogus']).then((result) => {
+        expect(result.code).to.equal(2);
+        expect(result.stderr).to.include('Usage: redis-server-manager');
+      })
+    );
+    it('starts servers and closes them on SIGINT', () =>
+      new Promise((resolve, reject) => {
+        const child = childprocess.spawn(process.execPath, [
+          path.join(__dirname, 'bin', 'redis-server-manager.js'),
+          '--port',
+          'auto',
+          '--count',
+          '2',
+          '--json'
+        ]);
+        let stdout = '';
+
+        child.stdout.on('data', (data) => {
+          stdout += data;
+
+          if (stdout.split('\n').length === 3) {
+            child.kill('SIGINT');
+          }
+        });
+        child.on('error', reject);
+        child.on('exit', (code) => {
+          try {
+            expect(code).to.equal(0);
+            const lines = stdout.trim().split('\n');
+
+            expect(lines.map((line) => JSON.parse(line).server))
+              .to.eql([0, 1]);
+            resolve();
+          }
+          catch (err) {
+            reject(err);
+          }
+        });
+      })
+    );
+    it('detaches, reports status, and stops', () => {
+      const pidfile = path.join(os.tmpdir(), `manager-${process.pid}.pid`);
+
+      return runManager(['--detach', '--port', 'auto', '--pidfile', pidfile])
+        .then((result) => {
+          expect(result.code).to.equal(0);
+          expect(result.stdout).to.match(/^redis:\/\/127\.0\.0\.1:\d+\n$/);
+
+          return runManager(['status', '--pidfile', pidfile]);
+        })
+        .then((result) => {
+          expect(result.code).to.equal(0);
+          expect(result.stdout).to.match(/^Running \(pid \d+\)/);
+
+          return runManager(['stop', '--pidfile', pidfile]);
+        })
+        .then((result) => {
+          expect(result.code).to.equal(0);
+          expect(result.stdout).to.match(/^Stopped/);
+          expect(fs.existsSync(pidfile)).to.equal(false);
+
+          return runManager(['status', '--pidfile', pidfile]);
+        })
+        .then((result) => {
+          expect(result.code).to.equal(3);
+        });
+    });
+    it('detaches when run with an IPC channel to its parent', () => {
+      const pidfile = path.join(os.tmpdir(), `manager-ipc-${process.pid}.pid`);
+
+      return new Promise((resolve, reject) => {
+        const child = childprocess.fork(
+          path.join(__dirname, 'bin', 'redis-server-manager.js'),
+          ['--detach', '--port', 'auto', '--pidfile', pidfile],
+          { silent: true }
+        );
+        let stdout = '';
+
+        child.stdout.on('data', (data) => stdout += data);
+        child.on('error', reject);
+        child.on('message', () => reject(new Error('expected no message')));
+        child.on('exit', (code) => resolve({ code, stdout }));
+      })
+        .then((result) => {
+          expect(result.code).to.equal(0);
+          expect(result.stdout).to.match(/^redis:\/\/127\.0\.0\.1:\d+\n$/);
+
+          return runManager(['stop', '--pidfile', pidfile]);
+        })
+        .then((result) => {
+          expect(result.stdout).to.match(/^Stopped/);
         });
     });
   });